@@ -0,0 +1,121 @@
+using Microsoft.AspNetCore.Mvc;
+using DrowsinessDetectionApp.Services;
+
+namespace DrowsinessDetectionApp.Controllers
+{
+    [ApiController]
+    [Route("api/devices")]
+    public class DevicesController : ControllerBase
+    {
+        private readonly DeviceRegistry _deviceRegistry;
+        private readonly DeviceConfigStore _deviceConfigStore;
+        private readonly SensorDataService _sensorDataService;
+
+        public DevicesController(DeviceRegistry deviceRegistry, DeviceConfigStore deviceConfigStore, SensorDataService sensorDataService)
+        {
+            _deviceRegistry = deviceRegistry;
+            _deviceConfigStore = deviceConfigStore;
+            _sensorDataService = sensorDataService;
+        }
+
+        [HttpGet]
+        public IReadOnlyList<DeviceInfo> GetAll()
+        {
+            return _deviceRegistry.GetDevices();
+        }
+
+        [HttpGet("{deviceId}")]
+        public ActionResult<DeviceInfo> Get(string deviceId)
+        {
+            var device = _deviceRegistry.GetDevice(deviceId);
+            return device == null ? NotFound() : device;
+        }
+
+        // Polled by devices: compare the version with the one running and acknowledge once applied
+        [HttpGet("{deviceId}/config")]
+        public ActionResult<DeviceConfig> GetConfig(string deviceId)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId);
+            if (error != null) return BadRequest(error);
+            var config = _deviceConfigStore.Get(SensorDataService.NormalizeDeviceId(deviceId))?.Config;
+            return config == null ? NotFound() : config;
+        }
+
+        [HttpGet("{deviceId}/config/state")]
+        public ActionResult<DeviceConfigState> GetConfigState(string deviceId)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId);
+            if (error != null) return BadRequest(error);
+            var state = _deviceConfigStore.Get(SensorDataService.NormalizeDeviceId(deviceId));
+            return state == null ? NotFound() : state;
+        }
+
+        [HttpPut("{deviceId}/config")]
+        public async Task<ActionResult<DeviceConfigState>> PushConfig(string deviceId, [FromBody] DeviceConfig config)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId) ?? config.GetValidationError();
+            if (error != null) return BadRequest(error);
+            return await _sensorDataService.PushConfigAsync(deviceId, config);
+        }
+
+        [HttpPost("{deviceId}/config/ack")]
+        public async Task<ActionResult<DeviceConfigState>> AcknowledgeConfig(string deviceId, [FromBody] ConfigAcknowledgement acknowledgement)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId);
+            if (error != null) return BadRequest(error);
+            var state = await _sensorDataService.AcknowledgeConfigAsync(deviceId, acknowledgement.Version);
+            return state == null ? NotFound() : state;
+        }
+    }
+
+    public class DeviceInfo
+    {
+        public string DeviceId { get; set; } = "";
+        public DateTimeOffset? LastSeen { get; set; }
+        public SensorData? LastSample { get; set; }
+        public string? ActiveSessionId { get; set; }
+        public DeviceConfigState? Config { get; set; }
+    }
+
+    // Settings the firmware applies itself, so the device's own alertTriggered follows the dashboard
+    public class DeviceConfig
+    {
+        public int Version { get; set; }  // Assigned by the server on every push
+        public double DrowsinessThreshold { get; set; } = 70;  // %
+        public double TiltLimit { get; set; } = 30;  // degrees from the calibrated neutral pose
+        public bool BuzzerEnabled { get; set; } = true;
+        public bool VibrationEnabled { get; set; } = true;
+        public double SampleRateHz { get; set; } = 1;
+        public DateTimeOffset? PushedAt { get; set; }
+
+        public string? GetValidationError()
+        {
+            if (DrowsinessThreshold < 0 || DrowsinessThreshold > 100) return "The drowsiness threshold must be between 0 and 100.";
+            if (TiltLimit <= 0 || TiltLimit > 90) return "The tilt limit must be between 0 and 90 degrees.";
+            if (SampleRateHz < 0.2 || SampleRateHz > 50) return "The sample rate must be between 0.2 and 50 Hz.";
+            return null;
+        }
+
+        public DeviceConfig Clone() => (DeviceConfig)MemberwiseClone();
+    }
+
+    public class DeviceConfigState
+    {
+        public string DeviceId { get; set; } = "";
+        public DeviceConfig? Config { get; set; }  // Latest pushed
+        public int? AcknowledgedVersion { get; set; }  // Null until the device confirms any version
+        public DateTimeOffset? AcknowledgedAt { get; set; }
+
+        public DeviceConfigState Clone()
+        {
+            var copy = (DeviceConfigState)MemberwiseClone();
+            copy.Config = Config?.Clone();
+            return copy;
+        }
+    }
+
+    public class ConfigAcknowledgement
+    {
+        public int Version { get; set; }
+    }
+}
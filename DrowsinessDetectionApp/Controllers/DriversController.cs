@@ -0,0 +1,90 @@
+using Microsoft.AspNetCore.Mvc;
+using DrowsinessDetectionApp.Services;
+
+namespace DrowsinessDetectionApp.Controllers
+{
+    [ApiController]
+    [Route("api/drivers")]
+    public class DriversController : ControllerBase
+    {
+        private readonly DriverProfileStore _driverProfileStore;
+
+        public DriversController(DriverProfileStore driverProfileStore)
+        {
+            _driverProfileStore = driverProfileStore;
+        }
+
+        [HttpGet]
+        public IReadOnlyList<DriverProfile> GetAll()
+        {
+            return _driverProfileStore.GetProfiles();
+        }
+
+        [HttpGet("{id}")]
+        public ActionResult<DriverProfile> Get(string id)
+        {
+            var profile = _driverProfileStore.GetProfile(id);
+            return profile == null ? NotFound() : profile;
+        }
+
+        [HttpPost]
+        public ActionResult<DriverProfile> Create([FromBody] DriverProfile profile)
+        {
+            if (string.IsNullOrWhiteSpace(profile.Name)) return BadRequest("A driver profile needs a name.");
+            profile.Id = "";
+            var saved = _driverProfileStore.Save(profile);
+            return CreatedAtAction(nameof(Get), new { id = saved.Id }, saved);
+        }
+
+        [HttpPut("{id}")]
+        public ActionResult<DriverProfile> Put(string id, [FromBody] DriverProfile profile)
+        {
+            if (string.IsNullOrWhiteSpace(profile.Name)) return BadRequest("A driver profile needs a name.");
+            profile.Id = id;
+            return _driverProfileStore.Save(profile);
+        }
+
+        [HttpDelete("{id}")]
+        public IActionResult Delete(string id)
+        {
+            return _driverProfileStore.Delete(id) ? NoContent() : NotFound();
+        }
+    }
+
+    public class DriverProfile
+    {
+        public string Id { get; set; } = "";
+        public string Name { get; set; } = "";
+        public DriverThresholds Thresholds { get; set; } = new();
+        public AlertPreferences Alerts { get; set; } = new();
+        public string AngleUnit { get; set; } = "deg";  // deg or rad, display only
+        public CalibrationBaseline? Calibration { get; set; }
+        public DateTimeOffset UpdatedAt { get; set; }
+    }
+
+    public class DriverThresholds
+    {
+        public int DrowsinessThreshold { get; set; } = 70;
+        public int NormalBlinkRate { get; set; } = 17;
+        public int TiltLimit { get; set; } = 30;
+        public int PerclosThreshold { get; set; } = 15;
+    }
+
+    public class AlertPreferences
+    {
+        public bool SoundEnabled { get; set; } = true;
+        public int ToneAfterSeconds { get; set; } = 6;
+        public int OverlayAfterSeconds { get; set; } = 12;
+    }
+
+    // Recorded by the dashboard's calibration while the driver sat alert
+    public class CalibrationBaseline
+    {
+        public DateTimeOffset RecordedAt { get; set; }
+        public long DurationMs { get; set; }
+        public int Samples { get; set; }
+        public double BlinkRate { get; set; }
+        public double ClosureDuration { get; set; }
+        public HeadMovement NeutralPose { get; set; } = new();
+    }
+}
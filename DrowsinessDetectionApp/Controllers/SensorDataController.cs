@@ -1,6 +1,5 @@
 ﻿using Microsoft.AspNetCore.Mvc;
-using Microsoft.AspNetCore.SignalR;
-using DrowsinessDetectionApp.Hubs;
+using DrowsinessDetectionApp.Services;
 
 namespace DrowsinessDetectionApp.Controllers
 {
@@ -8,24 +7,26 @@ namespace DrowsinessDetectionApp.Controllers
     [Route("api/[controller]")]
     public class SensorDataController : ControllerBase
     {
-        private readonly IHubContext<SensorHub> _hubContext;
+        private readonly SensorDataService _sensorDataService;
 
-        public SensorDataController(IHubContext<SensorHub> hubContext)
+        public SensorDataController(SensorDataService sensorDataService)
         {
-            _hubContext = hubContext;
+            _sensorDataService = sensorDataService;
         }
 
         [HttpPost]
         public async Task<IActionResult> Post([FromBody] SensorData data)
         {
-            // Validate or process data if needed
-            await _hubContext.Clients.All.SendAsync("ReceiveSensorData", data);
+            var error = SensorDataService.GetDeviceIdError(data.DeviceId);
+            if (error != null) return BadRequest(error);
+            await _sensorDataService.IngestAsync(data);
             return Ok();
         }
     }
 
     public class SensorData  // Match this to the data structure in JS
     {
+        public string? DeviceId { get; set; }  // Optional from the device; defaults to "esp32"
         public long Timestamp { get; set; }
         public double EyeBlinkRate { get; set; }
         public double EyeClosureDuration { get; set; }
@@ -33,6 +34,12 @@ namespace DrowsinessDetectionApp.Controllers
         public double DrowsinessLevel { get; set; }
         public bool AlertTriggered { get; set; }
         public double BatteryLevel { get; set; }
+        public int? Rssi { get; set; }           // Wi-Fi signal strength in dBm, null from older firmware
+        public int? WifiChannel { get; set; }
+        public long? PacketsSent { get; set; }   // Counters since boot; loss is worked out from their deltas
+        public long? PacketsLost { get; set; }
+        public int? ConfigVersion { get; set; }  // Configuration the device is running, counts as an acknowledgement
+        public string? SessionId { get; set; }  // Set by the server, not the device
     }
 
     public class HeadMovement
@@ -0,0 +1,151 @@
+using Microsoft.AspNetCore.Mvc;
+using DrowsinessDetectionApp.Services;
+
+namespace DrowsinessDetectionApp.Controllers
+{
+    [ApiController]
+    [Route("api/sessions")]
+    public class SessionsController : ControllerBase
+    {
+        private readonly SensorDataService _sensorDataService;
+        private readonly SessionStore _sessionStore;
+
+        public SessionsController(SensorDataService sensorDataService, SessionStore sessionStore)
+        {
+            _sensorDataService = sensorDataService;
+            _sessionStore = sessionStore;
+        }
+
+        [HttpGet]
+        public IReadOnlyList<SessionRecord> GetAll([FromQuery] string? deviceId, [FromQuery] string? driverId)
+        {
+            return _sessionStore.GetSessions(deviceId, driverId);
+        }
+
+        [HttpGet("{id}")]
+        public ActionResult<SessionRecord> Get(string id)
+        {
+            var session = _sessionStore.GetSession(id);
+            return session == null ? NotFound() : session;
+        }
+
+        [HttpGet("{id}/samples")]
+        public ActionResult<IReadOnlyList<SensorData>> GetSamples(string id)
+        {
+            var samples = _sessionStore.GetSamples(id);
+            return samples == null ? NotFound() : Ok(samples);
+        }
+
+        // The latest samples recorded outside a session; since is a timestamp in ms
+        [HttpGet("unassigned/samples")]
+        public IReadOnlyList<SensorData> GetUnassignedSamples([FromQuery] string? deviceId, [FromQuery] long? since, [FromQuery] int limit = 1000)
+        {
+            return _sessionStore.GetUnassignedSamples(deviceId, since, Math.Clamp(limit, 1, 10000));
+        }
+
+        [HttpPost]
+        public async Task<ActionResult<SessionRecord>> Start([FromQuery] string? deviceId, [FromQuery] string? driverId)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId);
+            if (error != null) return BadRequest(error);
+            var session = await _sensorDataService.StartSessionAsync(deviceId, driverId);
+            return CreatedAtAction(nameof(Get), new { id = session.Id }, session);
+        }
+
+        [HttpPost("{id}/stop")]
+        public async Task<ActionResult<SessionRecord>> Stop(string id, [FromBody] SessionSummary? summary)
+        {
+            var session = await _sensorDataService.StopSessionAsync(id, summary);
+            return session == null ? NotFound() : session;
+        }
+
+        // 409 when the session has ended or is already on a break
+        [HttpPost("{id}/breaks")]
+        public async Task<ActionResult<SessionRecord>> StartBreak(string id, [FromQuery] string? recommendedBy)
+        {
+            if (_sessionStore.GetSession(id) == null) return NotFound();
+            var session = await _sensorDataService.StartBreakAsync(id, recommendedBy);
+            return session == null ? Conflict() : session;
+        }
+
+        [HttpPost("{id}/breaks/end")]
+        public async Task<ActionResult<SessionRecord>> EndBreak(string id)
+        {
+            if (_sessionStore.GetSession(id) == null) return NotFound();
+            var session = await _sensorDataService.EndBreakAsync(id);
+            return session == null ? Conflict() : session;
+        }
+    }
+
+    public class SessionRecord
+    {
+        public string Id { get; set; } = "";
+        public string? DeviceId { get; set; }
+        public string? DriverId { get; set; }
+        public string? DriverName { get; set; }  // As it was when the session started
+        public DateTimeOffset Start { get; set; }
+        public DateTimeOffset? End { get; set; }
+        public long DurationMs { get; set; }
+        public int Points { get; set; }
+        public double AvgBlinkRate { get; set; }
+        public double PeakDrowsiness { get; set; }
+        public int TotalAlerts { get; set; }
+        public ReactionTimeStats? ReactionTime { get; set; }
+        public List<ConnectivityGap>? ConnectivityGaps { get; set; }
+        public List<SessionBreak> Breaks { get; set; } = new();  // The last one has no End while the driver is on it
+        public List<BreakRecommendation>? BreakRecommendations { get; set; }
+
+        // Breaks change in place; the summary lists are only ever replaced whole
+        public SessionRecord Clone()
+        {
+            var copy = (SessionRecord)MemberwiseClone();
+            copy.Breaks = Breaks.Select(b => b.Clone()).ToList();
+            return copy;
+        }
+    }
+
+    // Figures only the dashboard knows, sent when it stops the session
+    public class SessionSummary
+    {
+        public int TotalAlerts { get; set; }
+        public ReactionTimeStats? ReactionTime { get; set; }
+        public List<ConnectivityGap>? ConnectivityGaps { get; set; }
+        public List<BreakRecommendation>? BreakRecommendations { get; set; }
+    }
+
+    // A pause in the session; samples that arrive during it are not part of the session
+    public class SessionBreak
+    {
+        public DateTimeOffset Start { get; set; }
+        public DateTimeOffset? End { get; set; }
+        public long DurationMs { get; set; }
+        public string? RecommendedBy { get; set; }  // what prompted it (regulation, alerts, trend), null when unprompted
+
+        public SessionBreak Clone() => (SessionBreak)MemberwiseClone();
+    }
+
+    public class BreakRecommendation
+    {
+        public DateTimeOffset At { get; set; }
+        public List<string> Reasons { get; set; } = new();
+        public DateTimeOffset? TakenAt { get; set; }  // start of the break that followed, null if none did
+    }
+
+    // A stretch of the session in which the dashboard received no samples
+    public class ConnectivityGap
+    {
+        public DateTimeOffset Start { get; set; }
+        public DateTimeOffset? End { get; set; }
+        public long DurationMs { get; set; }
+        public string Cause { get; set; } = ""; // stale, lost, reconnecting or offline
+        public bool Resolved { get; set; }
+    }
+
+    public class ReactionTimeStats
+    {
+        public int Count { get; set; }
+        public double MeanMs { get; set; }
+        public double P95Ms { get; set; }
+        public double WorstMs { get; set; }
+    }
+}
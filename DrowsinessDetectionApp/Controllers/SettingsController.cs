@@ -0,0 +1,87 @@
+using System.Globalization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.SignalR;
+using DrowsinessDetectionApp.Hubs;
+using DrowsinessDetectionApp.Services;
+
+namespace DrowsinessDetectionApp.Controllers
+{
+    [ApiController]
+    [Route("api/settings")]
+    public class SettingsController : ControllerBase
+    {
+        private readonly SettingsStore _settingsStore;
+        private readonly IHubContext<SensorHub> _hubContext;
+
+        public SettingsController(SettingsStore settingsStore, IHubContext<SensorHub> hubContext)
+        {
+            _settingsStore = settingsStore;
+            _hubContext = hubContext;
+        }
+
+        [HttpGet]
+        public SettingsSnapshot Get()
+        {
+            return _settingsStore.Get();
+        }
+
+        // Replaces all values and tells every open dashboard
+        [HttpPut]
+        public async Task<ActionResult<SettingsSnapshot>> Put([FromBody] SettingsSnapshot settings)
+        {
+            var error = settings.GetValidationError();
+            if (error != null) return BadRequest(error);
+
+            var saved = _settingsStore.Save(settings.Values, settings.UpdatedBy);
+            await _hubContext.Clients.All.SendAsync("SettingsChanged", saved);
+            return saved;
+        }
+    }
+
+    public class SettingsSnapshot
+    {
+        public int Version { get; set; }  // Assigned by the server on every save; 0 until the first
+        public Dictionary<string, string> Values { get; set; } = new();  // control id -> value
+        public string? UpdatedBy { get; set; }  // dashboard that made the change, so it can ignore the echo
+        public DateTimeOffset? UpdatedAt { get; set; }
+
+        // The settings panel's sliders and their ranges; other values are stored as given
+        private static readonly Dictionary<string, (double Min, double Max)> NumericRanges = new()
+        {
+            ["drowsinessThreshold"] = (0, 100),
+            ["tiltLimit"] = (10, 60),
+            ["normalBlinkRate"] = (10, 30),
+            ["perclosWindow"] = (30, 300),
+            ["perclosThreshold"] = (5, 50),
+            ["microsleepMinDuration"] = (0.5, 3),
+            ["microsleepPitchDrop"] = (5, 45),
+            ["alertOnset"] = (0, 10),
+            ["alertRelease"] = (0, 20),
+            ["alertMinGap"] = (0, 60),
+            ["alarmToneAfter"] = (2, 30),
+            ["alarmOverlayAfter"] = (5, 60),
+            ["plannedTripLength"] = (0, 480),
+            ["scoreDisagreementMargin"] = (10, 60),
+            ["breakAfterAlerts"] = (1, 10),
+            ["earlyWarningHorizon"] = (1, 15),
+            ["watchdogStaleAfter"] = (2, 30),
+            ["watchdogLostAfter"] = (5, 120)
+        };
+
+        public string? GetValidationError()
+        {
+            if (Values == null) return "The settings values are required.";
+            foreach (var (id, value) in Values)
+            {
+                if (string.IsNullOrWhiteSpace(id) || id.Length > 64) return "Setting ids must be 1 to 64 characters.";
+                if (value == null || value.Length > 256) return $"The {id} setting must have a value of at most 256 characters.";
+                if (NumericRanges.TryGetValue(id, out var range) &&
+                    (!double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out var number) || !(number >= range.Min && number <= range.Max)))
+                {
+                    return string.Create(CultureInfo.InvariantCulture, $"The {id} setting must be a number between {range.Min} and {range.Max}.");
+                }
+            }
+            return null;
+        }
+    }
+}
@@ -1,12 +1,114 @@
-﻿using Microsoft.AspNetCore.SignalR;
+using Microsoft.AspNetCore.SignalR;
+using DrowsinessDetectionApp.Controllers;
+using DrowsinessDetectionApp.Services;
 namespace DrowsinessDetectionApp.Hubs
 {
     public class SensorHub : Hub
     {
+        private readonly SensorDataService _sensorDataService;
+        private readonly SessionStore _sessionStore;
+        private readonly DeviceRegistry _deviceRegistry;
+        private readonly DeviceConfigStore _deviceConfigStore;
 
-        public async Task SendSensorData(object data)
+        public SensorHub(SensorDataService sensorDataService, SessionStore sessionStore, DeviceRegistry deviceRegistry, DeviceConfigStore deviceConfigStore)
         {
-            await Clients.All.SendAsync("ReceiveSensorData", data);
+            _sensorDataService = sensorDataService;
+            _sessionStore = sessionStore;
+            _deviceRegistry = deviceRegistry;
+            _deviceConfigStore = deviceConfigStore;
+        }
+
+        // Samples and session changes for a device go to this group only
+        public static string DeviceGroup(string deviceId) => "device:" + deviceId;
+
+        // The fleet overview receives samples and session changes from every device
+        public const string FleetGroup = "fleet";
+
+        // The device itself, listening for configuration pushes
+        public static string DeviceConfigGroup(string deviceId) => "config:" + deviceId;
+
+        // Used by the dashboard's simulator so its samples take the same path as device samples
+        public async Task SendSensorData(SensorData data)
+        {
+            var error = SensorDataService.GetDeviceIdError(data.DeviceId);
+            if (error != null) throw new HubException(error);
+            await _sensorDataService.IngestAsync(data);
+        }
+
+        public async Task SubscribeDevice(string deviceId)
+        {
+            await Groups.AddToGroupAsync(Context.ConnectionId, DeviceGroup(SensorDataService.NormalizeDeviceId(deviceId)));
+        }
+
+        public async Task UnsubscribeDevice(string deviceId)
+        {
+            await Groups.RemoveFromGroupAsync(Context.ConnectionId, DeviceGroup(SensorDataService.NormalizeDeviceId(deviceId)));
+        }
+
+        public async Task SubscribeFleet()
+        {
+            await Groups.AddToGroupAsync(Context.ConnectionId, FleetGroup);
+        }
+
+        public IReadOnlyList<DeviceInfo> GetDevices()
+        {
+            return _deviceRegistry.GetDevices();
+        }
+
+        // The session currently running on a device, so a newly opened dashboard can join it
+        public SessionRecord? GetSessionState(string deviceId)
+        {
+            return _sessionStore.GetActiveSession(SensorDataService.NormalizeDeviceId(deviceId));
+        }
+
+        public DeviceConfigState? GetDeviceConfig(string deviceId)
+        {
+            return _deviceConfigStore.Get(SensorDataService.NormalizeDeviceId(deviceId));
+        }
+
+        public async Task<DeviceConfigState> PushDeviceConfig(string deviceId, DeviceConfig config)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId) ?? config.GetValidationError();
+            if (error != null) throw new HubException(error);
+            return await _sensorDataService.PushConfigAsync(deviceId, config);
+        }
+
+        // For devices on a hub connection: receive ConfigurationPushed from now on,
+        // starting with the configuration already waiting, if any
+        public async Task<DeviceConfig?> SubscribeDeviceConfig(string deviceId)
+        {
+            deviceId = SensorDataService.NormalizeDeviceId(deviceId);
+            await Groups.AddToGroupAsync(Context.ConnectionId, DeviceConfigGroup(deviceId));
+            return _deviceConfigStore.Get(deviceId)?.Config;
+        }
+
+        public async Task<DeviceConfigState?> AcknowledgeDeviceConfig(string deviceId, int version)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId);
+            if (error != null) throw new HubException(error);
+            return await _sensorDataService.AcknowledgeConfigAsync(deviceId, version);
+        }
+
+        public async Task<SessionRecord> StartSession(string deviceId, string? driverId)
+        {
+            var error = SensorDataService.GetDeviceIdError(deviceId);
+            if (error != null) throw new HubException(error);
+            return await _sensorDataService.StartSessionAsync(deviceId, driverId);
+        }
+
+        public async Task<SessionRecord?> StopSession(string sessionId, SessionSummary? summary)
+        {
+            return await _sensorDataService.StopSessionAsync(sessionId, summary);
+        }
+
+        public async Task<SessionRecord?> StartBreak(string sessionId, string? recommendedBy)
+        {
+            return await _sensorDataService.StartBreakAsync(sessionId, recommendedBy);
+        }
+
+        public async Task<SessionRecord?> EndBreak(string sessionId)
+        {
+            return await _sensorDataService.EndBreakAsync(sessionId);
         }
     }
 }
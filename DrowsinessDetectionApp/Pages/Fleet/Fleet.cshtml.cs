@@ -0,0 +1,12 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace DrowsinessDetectionApp.Pages.Fleet
+{
+    public class FleetModel : PageModel
+    {
+        public void OnGet()
+        {
+        }
+    }
+}
@@ -1,10 +1,17 @@
 using Microsoft.AspNetCore.SignalR;
 using DrowsinessDetectionApp.Hubs;
+using DrowsinessDetectionApp.Services;
 var builder = WebApplication.CreateBuilder(args);
 
 // Add services to the container.
 builder.Services.AddRazorPages();
 builder.Services.AddSignalR();
+builder.Services.AddSingleton<SessionStore>();
+builder.Services.AddSingleton<DeviceRegistry>();
+builder.Services.AddSingleton<DriverProfileStore>();
+builder.Services.AddSingleton<SettingsStore>();
+builder.Services.AddSingleton<DeviceConfigStore>();
+builder.Services.AddSingleton<SensorDataService>();
 
 var app = builder.Build();
 
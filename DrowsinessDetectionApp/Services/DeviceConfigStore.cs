@@ -0,0 +1,87 @@
+using System.Text.Json;
+using DrowsinessDetectionApp.Controllers;
+
+namespace DrowsinessDetectionApp.Services
+{
+    // The configuration last pushed to each device and the version the device has
+    // confirmed, kept as one JSON file so a device polling after a restart still gets it.
+    // Callers get copies: they serialize them outside the lock while pushes change the originals.
+    public class DeviceConfigStore
+    {
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly string _path;
+        private readonly ILogger<DeviceConfigStore> _logger;
+        private readonly object _lock = new();
+        private readonly Dictionary<string, DeviceConfigState> _states = new();
+
+        public DeviceConfigStore(IConfiguration configuration, IWebHostEnvironment environment, ILogger<DeviceConfigStore> logger)
+        {
+            _logger = logger;
+            _path = Path.Combine(environment.ContentRootPath, configuration["DeviceConfigStore:Path"] ?? "App_Data/device-configs.json");
+            Directory.CreateDirectory(Path.GetDirectoryName(_path)!);
+            LoadStates();
+        }
+
+        public DeviceConfigState? Get(string deviceId)
+        {
+            lock (_lock)
+            {
+                return _states.GetValueOrDefault(deviceId)?.Clone();
+            }
+        }
+
+        // Every push gets the next version number; the device keeps its last
+        // acknowledged version until it confirms the new one
+        public DeviceConfigState Push(string deviceId, DeviceConfig config)
+        {
+            lock (_lock)
+            {
+                var state = _states.GetValueOrDefault(deviceId) ?? new DeviceConfigState { DeviceId = deviceId };
+                config.Version = (state.Config?.Version ?? 0) + 1;
+                config.PushedAt = DateTimeOffset.UtcNow;
+                state.Config = config;
+                _states[deviceId] = state;
+                WriteStates();
+                _logger.LogInformation("Configuration v{Version} pushed to device {DeviceId}", config.Version, deviceId);
+                return state.Clone();
+            }
+        }
+
+        // Returns null when the device was never sent that version
+        public DeviceConfigState? Acknowledge(string deviceId, int version)
+        {
+            lock (_lock)
+            {
+                var state = _states.GetValueOrDefault(deviceId);
+                if (state?.Config == null || version < 1 || version > state.Config.Version) return null;
+                if (state.AcknowledgedVersion == version) return state.Clone();
+
+                state.AcknowledgedVersion = version;
+                state.AcknowledgedAt = DateTimeOffset.UtcNow;
+                WriteStates();
+                _logger.LogInformation("Device {DeviceId} acknowledged configuration v{Version}", deviceId, version);
+                return state.Clone();
+            }
+        }
+
+        private void LoadStates()
+        {
+            if (!File.Exists(_path)) return;
+            try
+            {
+                var states = JsonSerializer.Deserialize<List<DeviceConfigState>>(File.ReadAllText(_path), JsonOptions);
+                states?.ForEach(s => _states[s.DeviceId] = s);
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Skipping unreadable device configuration file {Path}", _path);
+            }
+        }
+
+        private void WriteStates()
+        {
+            File.WriteAllText(_path, JsonSerializer.Serialize(_states.Values, JsonOptions));
+        }
+    }
+}
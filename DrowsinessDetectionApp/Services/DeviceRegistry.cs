@@ -0,0 +1,56 @@
+using System.Collections.Concurrent;
+using DrowsinessDetectionApp.Controllers;
+
+namespace DrowsinessDetectionApp.Services
+{
+    // In-memory record of every device that has sent data, with its latest sample.
+    // Devices known only from stored sessions are listed without a sample. Entries are
+    // replaced, never changed, and handed out as copies carrying the session and config.
+    public class DeviceRegistry
+    {
+        private readonly ConcurrentDictionary<string, DeviceInfo> _devices = new();
+        private readonly SessionStore _sessionStore;
+        private readonly DeviceConfigStore _deviceConfigStore;
+
+        public DeviceRegistry(SessionStore sessionStore, DeviceConfigStore deviceConfigStore)
+        {
+            _sessionStore = sessionStore;
+            _deviceConfigStore = deviceConfigStore;
+            foreach (var deviceId in sessionStore.GetSessions().Select(s => s.DeviceId).OfType<string>().Distinct())
+            {
+                _devices.TryAdd(deviceId, new DeviceInfo { DeviceId = deviceId });
+            }
+        }
+
+        public IReadOnlyList<DeviceInfo> GetDevices()
+        {
+            return _devices.Values.OrderBy(d => d.DeviceId).Select(WithState).ToList();
+        }
+
+        public DeviceInfo? GetDevice(string deviceId)
+        {
+            return _devices.TryGetValue(deviceId, out var device) ? WithState(device) : null;
+        }
+
+        // Records the sample as the device's latest; returns true for a device not seen before
+        public bool Record(string deviceId, SensorData data)
+        {
+            var device = new DeviceInfo { DeviceId = deviceId, LastSeen = DateTimeOffset.UtcNow, LastSample = data };
+            if (_devices.TryAdd(deviceId, device)) return true;
+            _devices[deviceId] = device;
+            return false;
+        }
+
+        private DeviceInfo WithState(DeviceInfo device)
+        {
+            return new DeviceInfo
+            {
+                DeviceId = device.DeviceId,
+                LastSeen = device.LastSeen,
+                LastSample = device.LastSample,
+                ActiveSessionId = _sessionStore.GetActiveSession(device.DeviceId)?.Id,
+                Config = _deviceConfigStore.Get(device.DeviceId)
+            };
+        }
+    }
+}
@@ -0,0 +1,87 @@
+using System.Text.Json;
+using DrowsinessDetectionApp.Controllers;
+
+namespace DrowsinessDetectionApp.Services
+{
+    // File-based driver profiles: all profiles live in a single JSON file that
+    // is rewritten on every change. Profiles are few and small.
+    public class DriverProfileStore
+    {
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly string _path;
+        private readonly ILogger<DriverProfileStore> _logger;
+        private readonly object _lock = new();
+        private readonly Dictionary<string, DriverProfile> _profiles = new();
+
+        public DriverProfileStore(IConfiguration configuration, IWebHostEnvironment environment, ILogger<DriverProfileStore> logger)
+        {
+            _logger = logger;
+            _path = Path.Combine(environment.ContentRootPath, configuration["DriverProfileStore:Path"] ?? "App_Data/drivers.json");
+            Directory.CreateDirectory(Path.GetDirectoryName(_path)!);
+            LoadProfiles();
+        }
+
+        public IReadOnlyList<DriverProfile> GetProfiles()
+        {
+            lock (_lock)
+            {
+                return _profiles.Values.OrderBy(p => p.Name, StringComparer.CurrentCultureIgnoreCase).ToList();
+            }
+        }
+
+        public DriverProfile? GetProfile(string id)
+        {
+            lock (_lock)
+            {
+                return _profiles.GetValueOrDefault(id);
+            }
+        }
+
+        // Creates the profile when it has no id yet, otherwise creates or replaces
+        // it under its own id, so profiles made offline keep their id once synced
+        public DriverProfile Save(DriverProfile profile)
+        {
+            lock (_lock)
+            {
+                if (string.IsNullOrWhiteSpace(profile.Id)) profile.Id = Guid.NewGuid().ToString("N");
+                profile.Name = profile.Name.Trim();
+                profile.UpdatedAt = DateTimeOffset.UtcNow;
+                _profiles[profile.Id] = profile;
+                WriteProfiles();
+                _logger.LogInformation("Driver profile {DriverId} ({Name}) saved", profile.Id, profile.Name);
+                return profile;
+            }
+        }
+
+        public bool Delete(string id)
+        {
+            lock (_lock)
+            {
+                if (!_profiles.Remove(id)) return false;
+                WriteProfiles();
+                _logger.LogInformation("Driver profile {DriverId} deleted", id);
+                return true;
+            }
+        }
+
+        private void LoadProfiles()
+        {
+            if (!File.Exists(_path)) return;
+            try
+            {
+                var profiles = JsonSerializer.Deserialize<List<DriverProfile>>(File.ReadAllText(_path), JsonOptions);
+                profiles?.ForEach(p => _profiles[p.Id] = p);
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Skipping unreadable driver profile file {Path}", _path);
+            }
+        }
+
+        private void WriteProfiles()
+        {
+            File.WriteAllText(_path, JsonSerializer.Serialize(_profiles.Values, JsonOptions));
+        }
+    }
+}
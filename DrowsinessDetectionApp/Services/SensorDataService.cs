@@ -0,0 +1,116 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.SignalR;
+using DrowsinessDetectionApp.Controllers;
+using DrowsinessDetectionApp.Hubs;
+
+namespace DrowsinessDetectionApp.Services
+{
+    // Single entry point for samples and session changes, whether they arrive
+    // over REST or through the hub, so both paths persist and broadcast alike.
+    public class SensorDataService
+    {
+        public const string DefaultDeviceId = "esp32";
+
+        // Ids name hub groups and show on every dashboard, so keep them to plain characters
+        private static readonly Regex DeviceIdPattern = new("^[A-Za-z0-9_-]{1,64}$");
+
+        private readonly IHubContext<SensorHub> _hubContext;
+        private readonly SessionStore _sessionStore;
+        private readonly DeviceRegistry _deviceRegistry;
+        private readonly DriverProfileStore _driverProfileStore;
+        private readonly DeviceConfigStore _deviceConfigStore;
+
+        public SensorDataService(IHubContext<SensorHub> hubContext, SessionStore sessionStore, DeviceRegistry deviceRegistry, DriverProfileStore driverProfileStore, DeviceConfigStore deviceConfigStore)
+        {
+            _hubContext = hubContext;
+            _sessionStore = sessionStore;
+            _deviceRegistry = deviceRegistry;
+            _driverProfileStore = driverProfileStore;
+            _deviceConfigStore = deviceConfigStore;
+        }
+
+        // Firmware without a device id is treated as the single default device
+        public static string NormalizeDeviceId(string? deviceId)
+        {
+            return string.IsNullOrWhiteSpace(deviceId) ? DefaultDeviceId : deviceId.Trim();
+        }
+
+        public static string? GetDeviceIdError(string? deviceId)
+        {
+            return DeviceIdPattern.IsMatch(NormalizeDeviceId(deviceId))
+                ? null
+                : "A device id is up to 64 letters, digits, hyphens and underscores.";
+        }
+
+        public async Task IngestAsync(SensorData data)
+        {
+            var deviceId = NormalizeDeviceId(data.DeviceId);
+            data.DeviceId = deviceId;
+            _sessionStore.AppendSample(data); // tags the sample with its session before the registry shares it
+            var isNewDevice = _deviceRegistry.Record(deviceId, data);
+
+            await _hubContext.Clients.Groups(SensorHub.DeviceGroup(deviceId), SensorHub.FleetGroup).SendAsync("ReceiveSensorData", data);
+            if (isNewDevice)
+            {
+                await _hubContext.Clients.All.SendAsync("DeviceListChanged", _deviceRegistry.GetDevices());
+            }
+            if (data.ConfigVersion != null && data.ConfigVersion != _deviceConfigStore.Get(deviceId)?.AcknowledgedVersion)
+            {
+                await AcknowledgeConfigAsync(deviceId, data.ConfigVersion.Value);
+            }
+        }
+
+        // Sent to devices subscribed over the hub; devices polling REST pick it up on their next poll
+        public async Task<DeviceConfigState> PushConfigAsync(string? deviceId, DeviceConfig config)
+        {
+            var state = _deviceConfigStore.Push(NormalizeDeviceId(deviceId), config);
+            await _hubContext.Clients.Group(SensorHub.DeviceConfigGroup(state.DeviceId)).SendAsync("ConfigurationPushed", state.Config);
+            await _hubContext.Clients.Groups(SensorHub.DeviceGroup(state.DeviceId), SensorHub.FleetGroup).SendAsync("DeviceConfigChanged", state);
+            return state;
+        }
+
+        public async Task<DeviceConfigState?> AcknowledgeConfigAsync(string? deviceId, int version)
+        {
+            var state = _deviceConfigStore.Acknowledge(NormalizeDeviceId(deviceId), version);
+            if (state != null)
+            {
+                await _hubContext.Clients.Groups(SensorHub.DeviceGroup(state.DeviceId), SensorHub.FleetGroup).SendAsync("DeviceConfigChanged", state);
+            }
+            return state;
+        }
+
+        // The driver is optional; one only known to a dashboard's local fallback is kept by id alone
+        public async Task<SessionRecord> StartSessionAsync(string? deviceId, string? driverId = null)
+        {
+            driverId = string.IsNullOrWhiteSpace(driverId) ? null : driverId;
+            var driver = driverId == null ? null : _driverProfileStore.GetProfile(driverId);
+            var session = _sessionStore.StartSession(NormalizeDeviceId(deviceId), driverId, driver?.Name);
+            await _hubContext.Clients.Groups(SensorHub.DeviceGroup(session.DeviceId!), SensorHub.FleetGroup).SendAsync("SessionStateChanged", session);
+            return session;
+        }
+
+        public async Task<SessionRecord?> StopSessionAsync(string sessionId, SessionSummary? summary)
+        {
+            return await BroadcastSessionAsync(_sessionStore.StopSession(sessionId, summary));
+        }
+
+        public async Task<SessionRecord?> StartBreakAsync(string sessionId, string? recommendedBy)
+        {
+            return await BroadcastSessionAsync(_sessionStore.StartBreak(sessionId, recommendedBy));
+        }
+
+        public async Task<SessionRecord?> EndBreakAsync(string sessionId)
+        {
+            return await BroadcastSessionAsync(_sessionStore.EndBreak(sessionId));
+        }
+
+        private async Task<SessionRecord?> BroadcastSessionAsync(SessionRecord? session)
+        {
+            if (session?.DeviceId != null)
+            {
+                await _hubContext.Clients.Groups(SensorHub.DeviceGroup(session.DeviceId), SensorHub.FleetGroup).SendAsync("SessionStateChanged", session);
+            }
+            return session;
+        }
+    }
+}
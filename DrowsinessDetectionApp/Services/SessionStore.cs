@@ -0,0 +1,348 @@
+using System.Text.Json;
+using DrowsinessDetectionApp.Controllers;
+
+namespace DrowsinessDetectionApp.Services
+{
+    // File-based session persistence: each session is a JSON metadata file
+    // plus an append-only NDJSON file holding its samples. Each device has at
+    // most one active session; samples that arrive while their device has no
+    // session running go to a separate unassigned file, which is rotated once it
+    // grows past UnassignedMaxBytes so only it and the one before it are kept.
+    // Session records change with every sample but are written out on a timer,
+    // and straight away when a session starts, stops or breaks. Callers get copies of
+    // the records, which they serialize outside the lock while samples change them.
+    public class SessionStore : IDisposable
+    {
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+        private static readonly TimeSpan FlushInterval = TimeSpan.FromSeconds(5);
+        private const long UnassignedMaxBytes = 10 * 1024 * 1024;
+
+        private readonly string _directory;
+        private readonly ILogger<SessionStore> _logger;
+        private readonly object _lock = new();
+        private readonly Dictionary<string, SessionRecord> _sessions = new();
+        private readonly Dictionary<string, string> _activeSessionIds = new(); // device id -> session id
+        private readonly HashSet<string> _unwrittenSessionIds = new();
+        private readonly Timer _flushTimer;
+        private long _unassignedBytes;
+
+        public SessionStore(IConfiguration configuration, IWebHostEnvironment environment, ILogger<SessionStore> logger)
+        {
+            _logger = logger;
+            _directory = Path.Combine(environment.ContentRootPath, configuration["SessionStore:Path"] ?? "App_Data/sessions");
+            Directory.CreateDirectory(_directory);
+            LoadSessions();
+            _unassignedBytes = File.Exists(UnassignedSamplesPath()) ? new FileInfo(UnassignedSamplesPath()).Length : 0;
+            _flushTimer = new Timer(_ => FlushSessions(), null, FlushInterval, FlushInterval);
+        }
+
+        public IReadOnlyList<SessionRecord> GetSessions(string? deviceId = null, string? driverId = null)
+        {
+            lock (_lock)
+            {
+                return _sessions.Values
+                    .Where(s => deviceId == null || s.DeviceId == deviceId)
+                    .Where(s => driverId == null || s.DriverId == driverId)
+                    .OrderByDescending(s => s.Start)
+                    .Select(s => s.Clone())
+                    .ToList();
+            }
+        }
+
+        public SessionRecord? GetSession(string id)
+        {
+            lock (_lock)
+            {
+                return _sessions.GetValueOrDefault(id)?.Clone();
+            }
+        }
+
+        public SessionRecord? GetActiveSession(string deviceId)
+        {
+            lock (_lock)
+            {
+                return _activeSessionIds.TryGetValue(deviceId, out var id) ? _sessions[id].Clone() : null;
+            }
+        }
+
+        public IReadOnlyList<SensorData>? GetSamples(string id)
+        {
+            lock (_lock)
+            {
+                return _sessions.ContainsKey(id) ? ReadSamples(SamplesPath(id)) : null;
+            }
+        }
+
+        // The latest samples, up to limit, from the current and the previous unassigned file
+        public IReadOnlyList<SensorData> GetUnassignedSamples(string? deviceId, long? since, int limit)
+        {
+            lock (_lock)
+            {
+                var latest = new Queue<SensorData>();
+                foreach (var path in new[] { PreviousUnassignedSamplesPath(), UnassignedSamplesPath() })
+                {
+                    foreach (var sample in EnumerateSamples(path))
+                    {
+                        if (deviceId != null && sample.DeviceId != deviceId) continue;
+                        if (since != null && sample.Timestamp < since) continue;
+                        latest.Enqueue(sample);
+                        if (latest.Count > limit) latest.Dequeue();
+                    }
+                }
+                return latest.ToList();
+            }
+        }
+
+        // Starts a new session for the device, ending any session it still has active
+        public SessionRecord StartSession(string deviceId, string? driverId = null, string? driverName = null)
+        {
+            lock (_lock)
+            {
+                if (_activeSessionIds.TryGetValue(deviceId, out var activeId)) EndSession(activeId, null);
+
+                var session = new SessionRecord
+                {
+                    Id = Guid.NewGuid().ToString("N"),
+                    DeviceId = deviceId,
+                    DriverId = driverId,
+                    DriverName = driverName,
+                    Start = DateTimeOffset.UtcNow
+                };
+                _sessions[session.Id] = session;
+                _activeSessionIds[deviceId] = session.Id;
+                WriteSession(session);
+                _logger.LogInformation("Session {SessionId} started for device {DeviceId}", session.Id, deviceId);
+                return session.Clone();
+            }
+        }
+
+        public SessionRecord? StopSession(string id, SessionSummary? summary)
+        {
+            lock (_lock)
+            {
+                return _sessions.ContainsKey(id) ? EndSession(id, summary).Clone() : null;
+            }
+        }
+
+        // Returns null when the session has ended or is already on a break
+        public SessionRecord? StartBreak(string id, string? recommendedBy)
+        {
+            lock (_lock)
+            {
+                var session = _sessions.GetValueOrDefault(id);
+                if (session == null || session.End != null || IsOnBreak(session)) return null;
+
+                session.Breaks.Add(new SessionBreak { Start = DateTimeOffset.UtcNow, RecommendedBy = recommendedBy });
+                WriteSession(session);
+                _logger.LogInformation("Session {SessionId} paused for a break", id);
+                return session.Clone();
+            }
+        }
+
+        // Returns null when the session is not on a break
+        public SessionRecord? EndBreak(string id)
+        {
+            lock (_lock)
+            {
+                var session = _sessions.GetValueOrDefault(id);
+                if (session == null || !IsOnBreak(session)) return null;
+
+                CloseBreak(session);
+                WriteSession(session);
+                _logger.LogInformation("Session {SessionId} resumed after a break", id);
+                return session.Clone();
+            }
+        }
+
+        // Tags the sample with its device's active session and appends it there,
+        // or to the unassigned samples when that device has no session running
+        // or its driver is on a break
+        public void AppendSample(SensorData data)
+        {
+            lock (_lock)
+            {
+                data.SessionId = data.DeviceId == null ? null : _activeSessionIds.GetValueOrDefault(data.DeviceId);
+                if (data.SessionId != null && IsOnBreak(_sessions[data.SessionId])) data.SessionId = null;
+                if (data.SessionId == null)
+                {
+                    AppendUnassigned(data);
+                    return;
+                }
+
+                var session = _sessions[data.SessionId];
+                AppendLine(SamplesPath(session.Id), data);
+
+                session.AvgBlinkRate = (session.AvgBlinkRate * session.Points + data.EyeBlinkRate) / (session.Points + 1);
+                session.PeakDrowsiness = Math.Max(session.PeakDrowsiness, data.DrowsinessLevel);
+                session.Points++;
+                _unwrittenSessionIds.Add(session.Id);
+            }
+        }
+
+        public void Dispose()
+        {
+            _flushTimer.Dispose();
+            FlushSessions();
+        }
+
+        private SessionRecord EndSession(string id, SessionSummary? summary)
+        {
+            var session = _sessions[id];
+            session.End ??= DateTimeOffset.UtcNow;
+            session.DurationMs = (long)(session.End.Value - session.Start).TotalMilliseconds;
+            if (IsOnBreak(session)) CloseBreak(session);
+            if (summary != null)
+            {
+                session.TotalAlerts = summary.TotalAlerts;
+                session.ReactionTime = summary.ReactionTime;
+                session.ConnectivityGaps = summary.ConnectivityGaps;
+                session.BreakRecommendations = summary.BreakRecommendations;
+            }
+            if (session.DeviceId != null && _activeSessionIds.GetValueOrDefault(session.DeviceId) == id)
+            {
+                _activeSessionIds.Remove(session.DeviceId);
+            }
+
+            WriteSession(session);
+            _logger.LogInformation("Session {SessionId} stopped after {Points} samples", id, session.Points);
+            return session;
+        }
+
+        private static bool IsOnBreak(SessionRecord session)
+        {
+            return session.Breaks.Count > 0 && session.Breaks[^1].End == null;
+        }
+
+        private static void CloseBreak(SessionRecord session)
+        {
+            var current = session.Breaks[^1];
+            current.End = DateTimeOffset.UtcNow;
+            current.DurationMs = (long)(current.End.Value - current.Start).TotalMilliseconds;
+        }
+
+        private void LoadSessions()
+        {
+            foreach (var path in Directory.EnumerateFiles(_directory, "*.session.json"))
+            {
+                try
+                {
+                    var session = JsonSerializer.Deserialize<SessionRecord>(File.ReadAllText(path), JsonOptions);
+                    if (session == null) continue;
+                    // Samples may have arrived after the record was last written
+                    if (session.End == null) CountSamples(session);
+                    _sessions[session.Id] = session;
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogWarning(ex, "Skipping unreadable session file {Path}", path);
+                }
+            }
+
+            // Sessions left running by a restart carry on with their device; should a
+            // device have several open, the older ones end at their last sample
+            var openSessions = _sessions.Values
+                .Where(s => s.End == null && s.DeviceId != null)
+                .GroupBy(s => s.DeviceId!);
+            foreach (var device in openSessions)
+            {
+                var ordered = device.OrderByDescending(s => s.Start).ToList();
+                _activeSessionIds[device.Key] = ordered[0].Id;
+                foreach (var stale in ordered.Skip(1))
+                {
+                    var samplesPath = SamplesPath(stale.Id);
+                    stale.End = File.Exists(samplesPath) ? File.GetLastWriteTimeUtc(samplesPath) : stale.Start;
+                    EndSession(stale.Id, null);
+                }
+            }
+        }
+
+        private void CountSamples(SessionRecord session)
+        {
+            var samples = ReadSamples(SamplesPath(session.Id));
+            if (samples.Count == 0) return;
+            session.Points = samples.Count;
+            session.AvgBlinkRate = samples.Average(s => s.EyeBlinkRate);
+            session.PeakDrowsiness = samples.Max(s => s.DrowsinessLevel);
+        }
+
+        private void FlushSessions()
+        {
+            lock (_lock)
+            {
+                foreach (var id in _unwrittenSessionIds.ToList())
+                {
+                    try
+                    {
+                        WriteSession(_sessions[id]);
+                    }
+                    catch (IOException ex)
+                    {
+                        // Left unwritten, so the next flush tries again
+                        _logger.LogWarning(ex, "Could not write session {SessionId}", id);
+                    }
+                }
+            }
+        }
+
+        private void WriteSession(SessionRecord session)
+        {
+            File.WriteAllText(SessionPath(session.Id), JsonSerializer.Serialize(session, JsonOptions));
+            _unwrittenSessionIds.Remove(session.Id);
+        }
+
+        private void AppendUnassigned(SensorData data)
+        {
+            if (_unassignedBytes > UnassignedMaxBytes)
+            {
+                File.Move(UnassignedSamplesPath(), PreviousUnassignedSamplesPath(), true);
+                _unassignedBytes = 0;
+            }
+            _unassignedBytes += AppendLine(UnassignedSamplesPath(), data);
+        }
+
+        // Returns the bytes written
+        private static long AppendLine(string path, SensorData data)
+        {
+            var line = JsonSerializer.Serialize(data, JsonOptions) + Environment.NewLine;
+            File.AppendAllText(path, line);
+            return System.Text.Encoding.UTF8.GetByteCount(line);
+        }
+
+        private List<SensorData> ReadSamples(string path)
+        {
+            return EnumerateSamples(path).ToList();
+        }
+
+        // A crash can leave the last line cut off; unreadable lines are skipped, not fatal
+        private IEnumerable<SensorData> EnumerateSamples(string path)
+        {
+            if (!File.Exists(path)) yield break;
+
+            var lineNumber = 0;
+            foreach (var line in File.ReadLines(path))
+            {
+                lineNumber++;
+                if (string.IsNullOrWhiteSpace(line)) continue;
+
+                SensorData? sample = null;
+                try
+                {
+                    sample = JsonSerializer.Deserialize<SensorData>(line, JsonOptions);
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogWarning(ex, "Skipping unreadable line {Line} of {Path}", lineNumber, path);
+                }
+                if (sample != null) yield return sample;
+            }
+        }
+
+        private string SessionPath(string id) => Path.Combine(_directory, id + ".session.json");
+
+        private string SamplesPath(string id) => Path.Combine(_directory, id + ".samples.ndjson");
+
+        private string UnassignedSamplesPath() => Path.Combine(_directory, "unassigned.samples.ndjson");
+
+        private string PreviousUnassignedSamplesPath() => Path.Combine(_directory, "unassigned.previous.samples.ndjson");
+    }
+}
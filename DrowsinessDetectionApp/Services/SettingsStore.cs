@@ -0,0 +1,64 @@
+using System.Text.Json;
+using DrowsinessDetectionApp.Controllers;
+
+namespace DrowsinessDetectionApp.Services
+{
+    // The dashboards' shared settings panel values, kept as one JSON file.
+    // Values are stored by control id, so new settings need no server change.
+    public class SettingsStore
+    {
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly string _path;
+        private readonly ILogger<SettingsStore> _logger;
+        private readonly object _lock = new();
+        private SettingsSnapshot _settings = new();
+
+        public SettingsStore(IConfiguration configuration, IWebHostEnvironment environment, ILogger<SettingsStore> logger)
+        {
+            _logger = logger;
+            _path = Path.Combine(environment.ContentRootPath, configuration["SettingsStore:Path"] ?? "App_Data/settings.json");
+            Directory.CreateDirectory(Path.GetDirectoryName(_path)!);
+            LoadSettings();
+        }
+
+        public SettingsSnapshot Get()
+        {
+            lock (_lock)
+            {
+                return _settings;
+            }
+        }
+
+        public SettingsSnapshot Save(Dictionary<string, string> values, string? updatedBy)
+        {
+            lock (_lock)
+            {
+                _settings = new SettingsSnapshot
+                {
+                    Version = _settings.Version + 1,
+                    Values = values,
+                    UpdatedBy = updatedBy,
+                    UpdatedAt = DateTimeOffset.UtcNow
+                };
+                File.WriteAllText(_path, JsonSerializer.Serialize(_settings, JsonOptions));
+                return _settings;
+            }
+        }
+
+        private void LoadSettings()
+        {
+            if (!File.Exists(_path)) return;
+            try
+            {
+                _settings = JsonSerializer.Deserialize<SettingsSnapshot>(File.ReadAllText(_path), JsonOptions) ?? new();
+                // Saved before settings were versioned
+                if (_settings.Version == 0 && _settings.UpdatedAt != null) _settings.Version = 1;
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Skipping unreadable settings file {Path}", _path);
+            }
+        }
+    }
+}
@@ -7,79 +7,962 @@ const connection = new signalR.HubConnectionBuilder()
     .build();
 
 connection.on("ReceiveSensorData", function (data) {
-    if (isSessionActive) {
-        // Convert ESP32 timestamp (milliseconds since boot) to Date
-        data.timestamp = new Date(data.Timestamp);
-        processSensorData(data); // Process the received data
+    // Convert the millisecond timestamp (since boot on an ESP32, epoch from the simulator) to Date.
+    // SignalR serializes payloads in camelCase.
+    data.timestamp = new Date(data.timestamp);
+    if (data.deviceId !== selectedDeviceId) return; // left over from a device we just switched away from
+    handleLiveSample(data);
+});
+
+// The server owns the session lifecycle; every dashboard follows its broadcasts
+connection.on("SessionStateChanged", function (session) {
+    if (session.deviceId !== selectedDeviceId) return;
+    if (session.end) {
+        if (isSessionActive && session.id === currentSessionId) endSession();
+    } else {
+        beginSession(session);
     }
 });
 
-connection.start()
-    .then(() => {
-        console.log("Connected to SignalR hub");
-        updateConnectionStatus(true);
-    })
-    .catch(err => console.error("SignalR Connection Error: ", err));
+connection.on("DeviceListChanged", renderDevicePicker);
+
+// A configuration pushed to, or acknowledged by, the selected device
+connection.on("DeviceConfigChanged", function (state) {
+    if (state.deviceId === selectedDeviceId) renderDeviceConfig(state);
+});
+
+// Settings saved by another dashboard
+connection.on("SettingsChanged", function (snapshot) {
+    if (snapshot.updatedBy === dashboardId) return;
+    applyServerSettings(snapshot);
+});
+
+// The hub being up says nothing about the ESP32; the watchdog decides what the badge shows
+connection.onreconnecting(err => {
+    console.warn("SignalR connection lost, reconnecting...", err);
+    hubState = 'reconnecting';
+    evaluateConnection();
+});
+
+// Groups do not survive a reconnect, so subscribe to the selected device again
+connection.onreconnected(() => {
+    hubState = 'connected';
+    evaluateConnection();
+    subscribeToDevice(selectedDeviceId);
+    loadSettings(); // catch up on changes broadcast while away
+});
+
+// Automatic reconnect gave up: keep retrying at a slower pace
+connection.onclose(err => {
+    console.error("SignalR connection closed: ", err);
+    hubState = 'offline';
+    evaluateConnection();
+    setTimeout(startConnection, HUB_RETRY_MS);
+});
+
+function startConnection() {
+    return connection.start()
+        .then(() => {
+            console.log("Connected to SignalR hub");
+            hubState = 'connected';
+            evaluateConnection();
+            connection.invoke('GetDevices')
+                .then(devices => {
+                    renderDevicePicker(devices);
+                    seedLastDataReceived(devices);
+                })
+                .catch(err => console.error('Failed to load devices: ', err));
+            return subscribeToDevice(selectedDeviceId);
+        })
+        .catch(err => {
+            console.error("SignalR Connection Error: ", err);
+            hubState = 'offline';
+            evaluateConnection();
+            setTimeout(startConnection, HUB_RETRY_MS);
+        });
+}
+
+startConnection();
 
 // Global variables for dashboard state
+const DEFAULT_DEVICE_ID = 'esp32'; // devices that do not send an id, see SensorDataService
+let selectedDeviceId = getInitialDeviceId();
+let driverProfiles = [];
+let selectedDriverId = getInitialDriverId();
+let sessionDriver = null; // { id, name } the running session is tagged with
+const dashboardId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8); // tells our own settings broadcasts apart
+let applyingSettings = false; // restoring values, so the change handlers must not save them again
+let settingsSaveTimerId = null;
 let isSessionActive = false;
 let sessionStartTime = null;
+let currentSessionId = null; // server-side session id, null when not persisted
+let simulatorRequested = false; // this dashboard asked for the session, so it runs the simulator
+let backfillQueue = null; // live samples held back while loading a joined session's history
+let isBackfilling = false; // replaying stored samples: no alarms
+let deferRendering = false; // catching up on many samples: the displays are drawn once at the end
 let drowsinessChart = null;
-let totalAlerts = 0;
+let deviceHealthChart = null;
+let totalAlerts = 0; // number of alert episodes, not alerting samples
 let sessionData = [];
+let linkQualityTotals = createLinkQualityTotals(); // kept up as samples arrive
+let alertEpisodes = [];
+let activeAlertEpisode = null;
+let alertConditionSince = null; // alert condition holding, waiting out the onset delay
+let alertClearSince = null;     // condition gone while an episode is open, waiting out the release delay
+
+// Alarm state for the active alert episode
+const ALARM_STAGES = ['silenced', 'chime', 'tone', 'overlay'];
+let audioContext = null;
+let alarmState = {
+    episode: null,
+    stage: 0,
+    startedAt: 0,      // performance.now() when the alarm first sounded
+    timerId: null,     // escalation check
+    toneTimerId: null  // repeating tone while in the tone/overlay stages
+};
+let microsleepEvents = [];
+let activeMicrosleep = null;
+
+// Battery forecasting: recent readings of the selected device, in or out of a session
+const BATTERY_WARNING_LEVELS = [20, 10, 5];
+const BATTERY_FORECAST_WINDOW_MS = 15 * 60 * 1000;
+let batteryHistory = [];
+let batteryWarnings = [];
+
+// Fatigue trend: smoothed dashboard score and PERCLOS over the last few minutes
+const FATIGUE_TREND_WINDOW_MS = 3 * 60 * 1000;
+const FATIGUE_TREND_MIN_SPAN_MS = 60000;
+const FATIGUE_SMOOTHING = 0.2;  // weight of each new sample in the moving average
+const PROJECTION_POINTS = 5;    // projected points drawn past the last sample
+let fatigueWarnings = [];
+let activeFatigueWarning = null;
+let projectionLength = 0;       // projected labels at the end of the drowsiness chart
+
+// Breaks: pauses of the running session (the server's, or local for a local-only
+// session) and the breaks recommended to the driver
+const BREAK_RULES = {
+    every2h: { label: 'break every 2 h', driveMs: 2 * 3600000, breakMs: 15 * 60000 },
+    eu: { label: 'EU 4.5 h rule', driveMs: 4.5 * 3600000, breakMs: 45 * 60000 },
+    none: { label: 'no driving time limit', driveMs: null, breakMs: 0 }
+};
+const BREAK_REASONS = {
+    regulation: 'driving time limit reached',
+    alerts: 'repeated alert episodes',
+    trend: 'fatigue building'
+};
+let sessionBreaks = [];
+let breakRecommendations = [];
+
+// Connection watchdog: device liveness comes from the age of the last sample
+const HUB_RETRY_MS = 5000;
+let hubState = 'connecting'; // 'connecting' | 'connected' | 'reconnecting' | 'offline'
+let connectionState = null;   // badge state last shown, see CONNECTION_BADGES
+let lastDataReceivedAt = null; // Date.now() of the selected device's last sample
+let connectivityGaps = [];
+let activeConnectivityGap = null;
+
+// Calibration in progress, null otherwise
+let calibration = null;
+let lastRawHeadMovement = null; // latest orientation, for zeroing the head pose
 
 // Simulation state
+const SIMULATED_MOUNT_PITCH = 12;
 let simulatorIntervalId = null;
-let simulatorState = {
-    lastBlinkMs: 0,
-    blinkIntervalMs: 3000,
-    batteryLevel: 100,
-    tiltCooldown: 0, // ticks remaining with high tilt
-    baseTilt: { pitch: 0, roll: 0, yaw: 0 }
-};
+let simulator = null; // the running SensorSimulator run, null when stopped
+let lastSimulatorSeed = null;
+let simulatorSampleTimes = new Set(); // timestamps of samples published by the simulator, to tell them from a device's
+
+// PERCLOS is not reported until the session covers at least this much time
+const PERCLOS_MIN_COVERAGE_MS = 10000;
+
+// Route a live sample of the selected device, from the hub or the offline simulator
+function handleLiveSample(data) {
+    if (simulatorIntervalId && !simulatorSampleTimes.delete(data.timestamp.getTime())) {
+        // Not one of ours: a headset is streaming, so the simulator steps aside
+        console.log('Device is streaming; simulator stopped');
+        stopSimulator();
+        if (calibration) {
+            // The baseline comes from the device alone, so calibration starts over
+            calibration.samples = [];
+            calibration.startedAt = Date.now();
+        }
+    }
+    noteDataReceived(data);
+    if (calibration) recordCalibrationSample(data);
+
+    if (replay) {
+        // The replay owns the displays until it is closed
+    } else if (backfillQueue) {
+        backfillQueue.push(data); // processed once the session's earlier samples are loaded
+    } else if (isSessionActive && !isOnBreak()) {
+        processSensorData(data); // Process the received data
+    } else {
+        // Outside a session or on a break the server keeps the sample out of the
+        // session; just show the live readings, scored without history since
+        // sessionData may still hold an earlier session, even another device's
+        data.tiltDeviation = getTiltDeviation(data.headMovement);
+        scoreSample(data, []);
+        updateDashboardDisplays(data);
+    }
+}
 
 function resetChart() {
-    if (!drowsinessChart) return;
-    drowsinessChart.data.labels = [];
-    drowsinessChart.data.datasets[0].data = [];
-    drowsinessChart.data.datasets[1].data = [];
-    drowsinessChart.update('none');
+    [drowsinessChart, deviceHealthChart].forEach(chart => {
+        if (!chart) return;
+        chart.data.labels = [];
+        chart.data.datasets.forEach(dataset => dataset.data = []);
+        chart.update('none');
+    });
+    projectionLength = 0;
 }
 
-let recentSessions = [];
+let recentSessions = []; // filtered by the history's driver filter
 
+// Load session history from the server, falling back to the copy kept in localStorage
 function loadRecentSessions() {
+    const driverId = document.getElementById('sessionDriverFilter').value;
+    const query = driverId ? `?driverId=${encodeURIComponent(driverId)}` : '';
+    return fetch('/api/sessions' + query)
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(sessions => {
+            recentSessions = sessions;
+        })
+        .catch(err => {
+            console.warn('Session history unavailable from server, using local copy:', err);
+            recentSessions = readLocalSessions().filter(matchesDriverFilter);
+        });
+}
+
+function readLocalSessions() {
     try {
         const raw = localStorage.getItem('recentSessions');
-        recentSessions = raw ? JSON.parse(raw) : [];
-        if (!Array.isArray(recentSessions)) recentSessions = [];
+        const sessions = raw ? JSON.parse(raw) : [];
+        return Array.isArray(sessions) ? sessions : [];
     } catch (_) {
-        recentSessions = [];
+        return [];
     }
 }
 
-function saveRecentSession() {
-    if (!sessionStartTime || sessionData.length === 0) return;
+function matchesDriverFilter(session) {
+    const driverId = document.getElementById('sessionDriverFilter').value;
+    return !driverId || session.driverId === driverId;
+}
+
+// ---------------------------
+// Device selection
+// ---------------------------
+
+// A ?device= link (e.g. from the fleet page) wins over the last device picked here
+function getInitialDeviceId() {
+    const fromUrl = new URLSearchParams(window.location.search).get('device');
+    if (fromUrl) return fromUrl;
+    try {
+        return localStorage.getItem('selectedDeviceId') || DEFAULT_DEVICE_ID;
+    } catch (_) {
+        return DEFAULT_DEVICE_ID;
+    }
+}
+
+// Receive only this device's stream and join its running session, if any
+function subscribeToDevice(deviceId) {
+    return connection.invoke('SubscribeDevice', deviceId)
+        .then(() => connection.invoke('GetSessionState', deviceId))
+        .then(session => {
+            if (session && deviceId === selectedDeviceId) beginSession(session); // join a session started elsewhere
+            return connection.invoke('GetDeviceConfig', deviceId);
+        })
+        .then(state => {
+            if (deviceId === selectedDeviceId) renderDeviceConfig(state);
+        })
+        .catch(err => console.error('Failed to subscribe to device ' + deviceId + ': ', err));
+}
+
+// Switch the dashboard to another device. Its previous device's session keeps
+// running on the server; only this view moves.
+function selectDevice(deviceId) {
+    if (!deviceId || deviceId === selectedDeviceId) return;
+
+    const previousDeviceId = selectedDeviceId;
+    selectedDeviceId = deviceId;
+    try {
+        localStorage.setItem('selectedDeviceId', deviceId);
+    } catch (_) {}
+
+    if (isSessionActive) leaveSession();
+    cancelCalibration();
+    applyCalibrationProfile();
+    lastRawHeadMovement = null;
+    renderHeadPoseZero();
+    renderDeviceConfig(null);
+    currentSessionId = null;
+    lastDataReceivedAt = null;
+    batteryHistory = [];
+    evaluateConnection();
+    document.getElementById('lastDataTime').textContent = 'Never';
+
+    if (connection.state === signalR.HubConnectionState.Connected) {
+        connection.invoke('UnsubscribeDevice', previousDeviceId)
+            .then(() => subscribeToDevice(deviceId))
+            .catch(err => console.error('Failed to switch device: ', err));
+    }
+}
+
+function renderDevicePicker(devices) {
+    const select = document.getElementById('deviceSelect');
+    const deviceIds = devices.map(d => d.deviceId);
+    if (!deviceIds.includes(selectedDeviceId)) deviceIds.unshift(selectedDeviceId);
+
+    select.innerHTML = deviceIds.map(id => {
+        const device = devices.find(d => d.deviceId === id);
+        const label = device && device.activeSessionId ? `${id} • in session` : id;
+        return `<option value="${escapeHtml(id)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    select.value = selectedDeviceId;
+}
+
+// ---------------------------
+// Device configuration
+// ---------------------------
+
+// Threshold and tilt limit come from the settings panel, so the device alerts
+// where this dashboard does; the device confirms each version it applies
+function readDeviceConfig() {
+    return {
+        drowsinessThreshold: parseInt(document.getElementById('drowsinessThreshold').value),
+        tiltLimit: getTiltLimit(),
+        buzzerEnabled: document.getElementById('deviceBuzzerEnabled').checked,
+        vibrationEnabled: document.getElementById('deviceVibrationEnabled').checked,
+        sampleRateHz: parseFloat(document.getElementById('deviceSampleRate').value)
+    };
+}
+
+function pushDeviceConfig() {
+    const status = document.getElementById('deviceConfigStatus');
+    if (connection.state !== signalR.HubConnectionState.Connected) {
+        status.textContent = 'Not connected to the server; configuration not sent.';
+        return;
+    }
+    connection.invoke('PushDeviceConfig', selectedDeviceId, readDeviceConfig())
+        .then(renderDeviceConfig)
+        .catch(err => {
+            console.error('Failed to push device configuration: ', err);
+            status.textContent = 'Configuration not sent: ' + err.message;
+        });
+}
+
+function renderDeviceConfig(state) {
+    const badge = document.getElementById('deviceConfigBadge');
+    const status = document.getElementById('deviceConfigStatus');
+    const config = state && state.config;
+    if (!config) {
+        badge.className = 'badge bg-secondary';
+        badge.textContent = 'Defaults';
+        status.textContent = 'No configuration pushed; the device uses its built-in defaults.';
+        return;
+    }
+
+    document.getElementById('deviceBuzzerEnabled').checked = config.buzzerEnabled;
+    document.getElementById('deviceVibrationEnabled').checked = config.vibrationEnabled;
+    document.getElementById('deviceSampleRate').value = String(config.sampleRateHz);
+
+    const acknowledged = state.acknowledgedVersion;
+    if (acknowledged === config.version) {
+        badge.className = 'badge bg-success';
+        badge.textContent = `v${config.version} applied`;
+        status.textContent = `${describeDeviceConfig(config)}. Acknowledged ${new Date(state.acknowledgedAt).toLocaleTimeString()}.`;
+    } else {
+        badge.className = 'badge bg-warning text-dark';
+        badge.textContent = acknowledged ? `v${acknowledged} of v${config.version}` : `v${config.version} pending`;
+        status.textContent = `${describeDeviceConfig(config)}. Pushed ${new Date(config.pushedAt).toLocaleTimeString()}, ` +
+            (acknowledged ? `device still running v${acknowledged}.` : 'not yet acknowledged by the device.');
+    }
+}
+
+function describeDeviceConfig(config) {
+    const outputs = [config.buzzerEnabled ? 'buzzer' : null, config.vibrationEnabled ? 'vibration' : null].filter(Boolean);
+    return `v${config.version}: alert at ${config.drowsinessThreshold}%, tilt ${config.tiltLimit}°, ` +
+        `${outputs.length ? outputs.join(' + ') : 'silent'}, ${config.sampleRateHz} Hz`;
+}
+
+// ---------------------------
+// Dashboard scoring
+// ---------------------------
+
+// The dashboard decides alerts with its own score (see DrowsinessScoring.js), kept on the
+// sample next to the device's drowsinessLevel and alertTriggered for comparison.
+// history is the samples the trend and PERCLOS inputs are drawn from
+function scoreSample(data, history) {
+    const result = DrowsinessScoring.score(data, history, getScoringOptions(), document.getElementById('scoringModel').value);
+    const comparison = DrowsinessScoring.compare(data.drowsinessLevel, data.alertTriggered, result, getDisagreementMargin());
+    data.dashboardScore = result.score;
+    data.dashboardAlert = result.alert;
+    data.scoreComponents = result.components;
+    data.scoreDisagreement = comparison.disagree ? comparison.reasons.join('; ') : null;
+}
+
+function getScoringOptions() {
+    return {
+        threshold: parseInt(document.getElementById('drowsinessThreshold').value),
+        baseline: getBaseline(),
+        tiltLimit: getTiltLimit(),
+        perclosThreshold: parseInt(document.getElementById('perclosThreshold').value)
+    };
+}
+
+function getDisagreementMargin() {
+    return parseInt(document.getElementById('scoreDisagreementMargin').value);
+}
+
+function renderScoringModels() {
+    const select = document.getElementById('scoringModel');
+    select.innerHTML = DrowsinessScoring.getModels()
+        .map(model => `<option value="${model.name}">${escapeHtml(model.label)}</option>`)
+        .join('');
+}
+
+function describeScoreComponents(components) {
+    return Object.keys(components)
+        .map(name => `${name} ${components[name].toFixed(0)}`)
+        .join(' + ');
+}
+
+function getScoreDisagreementCount() {
+    return sessionData.filter(data => data.scoreDisagreement).length;
+}
+
+// ---------------------------
+// Settings store
+// ---------------------------
+
+// Every input and select in the settings panel is a setting, keyed by its id
+function getSettingsControls() {
+    return Array.from(document.querySelectorAll('#settingsPanel input[id], #settingsPanel select[id]'));
+}
+
+function readSettings() {
+    const values = {};
+    getSettingsControls().forEach(control => {
+        values[control.id] = control.type === 'checkbox' ? String(control.checked) : control.value;
+    });
+    return values;
+}
+
+// The values shared with other dashboards. While a driver is selected their
+// profile's controls hold the driver's values, so the shared ones stay as last saved.
+function readSharedSettings() {
+    const values = readSettings();
+    if (!getSelectedDriver()) return values;
+    const shared = (readLocalSettings() || {}).values || {};
+    DRIVER_SETTINGS_CONTROL_IDS.forEach(id => {
+        if (id in shared) {
+            values[id] = shared[id];
+        } else {
+            delete values[id];
+        }
+    });
+    return values;
+}
+
+// Set the controls and fire their events so labels and dependent state follow
+function applySettings(values) {
+    if (!values) return;
+    applyingSettings = true;
+    try {
+        getSettingsControls().forEach(control => {
+            if (!(control.id in values)) return;
+            if (control.type === 'checkbox') {
+                control.checked = values[control.id] === 'true';
+            } else {
+                control.value = values[control.id];
+            }
+            control.dispatchEvent(new Event('input'));
+            control.dispatchEvent(new Event('change'));
+        });
+    } finally {
+        applyingSettings = false;
+    }
+}
+
+function readLocalSettings() {
+    try {
+        const raw = localStorage.getItem('dashboardSettings');
+        return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function saveSettingsLocally(snapshot) {
+    try {
+        localStorage.setItem('dashboardSettings', JSON.stringify(snapshot));
+    } catch (_) {}
+}
+
+// The server's version of the settings this dashboard last saw
+function getLocalSettingsVersion(local) {
+    return local && local.version ? local.version : 0;
+}
+
+// Local changes made while the server was unreachable are pending, tagged with
+// the version they were made on. They are sent on if the server is still at that
+// version; once another dashboard has saved in between, the server's copy wins.
+function loadSettings() {
+    const local = readLocalSettings();
+    return fetch('/api/settings')
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(server => {
+            if (local && local.pending && getLocalSettingsVersion(local) === server.version) {
+                pushSettings(local);
+            } else if (server.version > 0) {
+                applyServerSettings(server);
+            }
+        })
+        .catch(err => console.warn('Settings unavailable from server, using local copy:', err));
+}
+
+// Save right away locally; the server copy waits for the slider to settle
+function handleSettingsChange() {
+    if (applyingSettings) return;
+    const snapshot = {
+        values: readSharedSettings(),
+        updatedBy: dashboardId,
+        version: getLocalSettingsVersion(readLocalSettings()),
+        pending: true
+    };
+    saveSettingsLocally(snapshot);
+    clearTimeout(settingsSaveTimerId);
+    settingsSaveTimerId = setTimeout(() => pushSettings(snapshot), 500);
+}
+
+// The selected driver's settings, and calibrated blink rate, go back on top
+function applyServerSettings(snapshot) {
+    applySettings(snapshot.values);
+    saveSettingsLocally(snapshot);
+    applyDriverProfile();
+}
+
+function pushSettings(snapshot) {
+    return fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ values: snapshot.values, updatedBy: dashboardId })
+    })
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(saveSettingsLocally)
+        .catch(err => console.warn('Failed to save settings to server, kept locally:', err));
+}
+
+// ---------------------------
+// Driver profiles
+// ---------------------------
+
+function getInitialDriverId() {
+    try {
+        return localStorage.getItem('selectedDriverId') || '';
+    } catch (_) {
+        return '';
+    }
+}
+
+function getSelectedDriver() {
+    return driverProfiles.find(profile => profile.id === selectedDriverId) || null;
+}
+
+function readCachedDriverProfiles() {
+    try {
+        const raw = localStorage.getItem('driverProfiles');
+        const profiles = raw ? JSON.parse(raw) : [];
+        return Array.isArray(profiles) ? profiles : [];
+    } catch (_) {
+        return [];
+    }
+}
+
+function cacheDriverProfiles() {
+    try {
+        localStorage.setItem('driverProfiles', JSON.stringify(driverProfiles));
+    } catch (_) {}
+}
+
+// Load profiles from the server, falling back to the local copy. Profiles
+// created or changed while the server was unreachable are pushed once it is back.
+function loadDriverProfiles() {
+    return fetch('/api/drivers')
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(profiles => {
+            const pending = readCachedDriverProfiles().filter(profile => profile.pendingSync);
+            driverProfiles = profiles;
+            pending.forEach(pushDriverProfile);
+            cacheDriverProfiles();
+        })
+        .catch(err => {
+            console.warn('Driver profiles unavailable from server, using local copy:', err);
+            driverProfiles = readCachedDriverProfiles();
+        })
+        .then(() => {
+            renderDriverPickers();
+            applyDriverProfile();
+        });
+}
+
+// Save to the server under the profile's own id; keep it locally either way
+function pushDriverProfile(profile) {
+    upsertDriverProfile(profile);
+    return fetch(`/api/drivers/${encodeURIComponent(profile.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(profile)
+    })
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(saved => {
+            upsertDriverProfile(saved);
+            setDriverProfileStatus(`Saved ${saved.name}.`);
+        })
+        .catch(err => {
+            console.warn('Failed to save driver profile to server, keeping local copy:', err);
+            upsertDriverProfile({ ...profile, pendingSync: true });
+            setDriverProfileStatus(`Saved ${profile.name} on this device; it will sync when the server is reachable.`);
+        });
+}
+
+function upsertDriverProfile(profile) {
+    const index = driverProfiles.findIndex(existing => existing.id === profile.id);
+    if (index >= 0) {
+        driverProfiles[index] = profile;
+    } else {
+        driverProfiles.push(profile);
+        driverProfiles.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    cacheDriverProfiles();
+    renderDriverPickers();
+}
+
+// The settings panel controls a profile carries
+const DRIVER_SETTINGS_CONTROL_IDS = ['drowsinessThreshold', 'normalBlinkRate', 'tiltLimit', 'perclosThreshold',
+    'alarmSoundEnabled', 'alarmToneAfter', 'alarmOverlayAfter', 'angleUnit'];
+
+// The settings a profile carries, read from the settings panel
+function readDriverSettings() {
+    return {
+        thresholds: {
+            drowsinessThreshold: parseInt(document.getElementById('drowsinessThreshold').value),
+            normalBlinkRate: parseInt(document.getElementById('normalBlinkRate').value),
+            tiltLimit: getTiltLimit(),
+            perclosThreshold: parseInt(document.getElementById('perclosThreshold').value)
+        },
+        alerts: {
+            soundEnabled: document.getElementById('alarmSoundEnabled').checked,
+            toneAfterSeconds: parseInt(document.getElementById('alarmToneAfter').value),
+            overlayAfterSeconds: parseInt(document.getElementById('alarmOverlayAfter').value)
+        },
+        angleUnit: getAngleUnit()
+    };
+}
+
+// Put the selected driver's settings into the settings panel
+function applyDriverProfile() {
+    const driver = getSelectedDriver();
+    if (driver) {
+        document.getElementById('drowsinessThreshold').value = driver.thresholds.drowsinessThreshold;
+        document.getElementById('normalBlinkRate').value = driver.thresholds.normalBlinkRate;
+        document.getElementById('tiltLimit').value = driver.thresholds.tiltLimit;
+        document.getElementById('perclosThreshold').value = driver.thresholds.perclosThreshold;
+        document.getElementById('alarmSoundEnabled').checked = driver.alerts.soundEnabled;
+        document.getElementById('alarmToneAfter').value = driver.alerts.toneAfterSeconds;
+        document.getElementById('alarmOverlayAfter').value = driver.alerts.overlayAfterSeconds;
+        document.getElementById('angleUnit').value = driver.angleUnit;
+        updateThreshold();
+        updateTiltLimit();
+        updatePerclosSettings();
+        updateAlarmSettings();
+    }
+    applyCalibrationProfile(); // the driver's own baseline, if calibrated, sets the blink rate
+    updateDriverControls();
+}
+
+function selectDriver(driverId) {
+    selectedDriverId = driverId || '';
+    try {
+        localStorage.setItem('selectedDriverId', selectedDriverId);
+    } catch (_) {}
+    document.getElementById('driverSelect').value = selectedDriverId;
+    if (!selectedDriverId) applySettings((readLocalSettings() || {}).values); // back to the shared values
+    applyDriverProfile();
+    setDriverProfileStatus('');
+}
+
+function createDriverProfile() {
+    const name = (prompt('Driver name:') || '').trim();
+    if (!name) return;
+    const profile = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        name: name,
+        ...readDriverSettings(),
+        calibration: null
+    };
+    pushDriverProfile(profile);
+    selectDriver(profile.id);
+}
+
+function saveDriverSettings() {
+    const driver = getSelectedDriver();
+    if (!driver) return;
+    pushDriverProfile({ ...driver, ...readDriverSettings() });
+}
+
+function deleteDriverProfile() {
+    const driver = getSelectedDriver();
+    if (!driver || !confirm(`Delete the driver profile "${driver.name}"? Its recorded sessions are kept.`)) return;
+    fetch(`/api/drivers/${encodeURIComponent(driver.id)}`, { method: 'DELETE' })
+        .then(response => response.ok || response.status === 404 ? null : Promise.reject(response.status))
+        .then(() => {
+            driverProfiles = driverProfiles.filter(profile => profile.id !== driver.id);
+            cacheDriverProfiles();
+            renderDriverPickers();
+            selectDriver('');
+        })
+        .catch(err => {
+            console.error('Failed to delete driver profile: ', err);
+            alert('The driver profile could not be deleted because the server is unreachable.');
+        });
+}
+
+function renderDriverPickers() {
+    const options = driverProfiles.map(profile =>
+        `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`).join('');
+
+    const select = document.getElementById('driverSelect');
+    if (selectedDriverId && !getSelectedDriver()) selectedDriverId = ''; // deleted elsewhere
+    select.innerHTML = '<option value="">No driver</option>' + options;
+    select.value = selectedDriverId;
+
+    const filter = document.getElementById('sessionDriverFilter');
+    const filterValue = filter.value;
+    filter.innerHTML = '<option value="">All drivers</option>' + options;
+    filter.value = driverProfiles.some(profile => profile.id === filterValue) ? filterValue : '';
+}
+
+function updateDriverControls() {
+    const hasDriver = getSelectedDriver() !== null;
+    document.getElementById('driverSelect').disabled = isSessionActive;
+    document.getElementById('saveDriverBtn').disabled = !hasDriver;
+    document.getElementById('deleteDriverBtn').disabled = !hasDriver || isSessionActive;
+}
+
+function setDriverProfileStatus(text) {
+    document.getElementById('driverProfileStatus').textContent = text;
+}
+
+function getAngleUnit() {
+    return document.getElementById('angleUnit').value;
+}
+
+// Angles are kept in degrees; radians are for display only
+function formatAngle(degrees) {
+    return getAngleUnit() === 'rad'
+        ? (degrees * Math.PI / 180).toFixed(3) + ' rad'
+        : degrees.toFixed(1) + '°';
+}
+
+function describeSessionDriver() {
+    return sessionDriver ? sessionDriver.name : 'Not recorded';
+}
+
+// History export: the sessions listed under Recent Sessions for the chosen driver
+function exportSessionHistory() {
+    if (recentSessions.length === 0) {
+        alert('No sessions to export for this driver.');
+        return;
+    }
+    const headers = ['Start', 'End', 'Driver', 'Device', 'Duration', 'Data Points', 'Alert Episodes', 'Avg Blink Rate (BPM)', 'Peak Drowsiness (%)', 'Mean Reaction Time (s)'];
+    const rows = recentSessions.map(session => [
+        session.start,
+        session.end || '',
+        `"${(session.driverName || '').replace(/"/g, '""')}"`,
+        `"${(session.deviceId || '').replace(/"/g, '""')}"`,
+        session.end ? formatDuration(session.durationMs) : '',
+        session.points,
+        session.totalAlerts,
+        session.avgBlinkRate.toFixed(2),
+        session.peakDrowsiness.toFixed(2),
+        session.reactionTime ? (session.reactionTime.meanMs / 1000).toFixed(2) : ''
+    ].join(','));
+    const filter = document.getElementById('sessionDriverFilter');
+    const driverName = filter.value ? filter.options[filter.selectedIndex].text : 'all_drivers';
+    downloadFile([headers.join(','), ...rows].join('\n'), `session_history_${driverName.replace(/\W+/g, '_')}.csv`, 'text/csv');
+}
+
+// ---------------------------
+// Connection watchdog
+// ---------------------------
+
+const CONNECTION_BADGES = {
+    connecting: { className: 'badge bg-secondary', text: '⚪ Connecting...' },
+    waiting: { className: 'badge bg-secondary', text: '⚪ Waiting for ESP32' },
+    connected: { className: 'badge bg-success', text: '🟢 ESP32 Connected' },
+    stale: { className: 'badge bg-warning text-dark', text: '🟡 ESP32 Stale' },
+    lost: { className: 'badge bg-danger', text: '🔴 ESP32 Lost' },
+    reconnecting: { className: 'badge bg-warning text-dark', text: '🟠 Server Reconnecting...' },
+    offline: { className: 'badge bg-danger', text: '🔴 Server Disconnected' }
+};
+
+function getWatchdogSettings() {
+    const staleAfterMs = parseInt(document.getElementById('watchdogStaleAfter').value) * 1000;
+    const lostAfterMs = parseInt(document.getElementById('watchdogLostAfter').value) * 1000;
+    return { staleAfterMs, lostAfterMs: Math.max(lostAfterMs, staleAfterMs) };
+}
+
+// A device that reported shortly before this page opened counts as alive
+function seedLastDataReceived(devices) {
+    const device = devices.find(d => d.deviceId === selectedDeviceId);
+    if (!device || !device.lastSeen) return;
+    const lastSeen = new Date(device.lastSeen).getTime();
+    if (!lastDataReceivedAt || lastSeen > lastDataReceivedAt) {
+        lastDataReceivedAt = lastSeen;
+        evaluateConnection();
+    }
+}
+
+// Called for every live sample of the selected device. The first sample after
+// a gap closes it and carries its length, so the gap shows up in exports.
+function noteDataReceived(data) {
+    lastDataReceivedAt = Date.now();
+    if (activeConnectivityGap) {
+        closeConnectivityGap(new Date(lastDataReceivedAt), true);
+        data.gapBeforeMs = connectivityGaps[connectivityGaps.length - 1].durationMs;
+    }
+    evaluateConnection();
+}
+
+// Work out the badge state from the sample age and the hub state. Runs on a
+// timer so the badge ages even when nothing arrives.
+function evaluateConnection() {
+    const settings = getWatchdogSettings();
+    const age = lastDataReceivedAt ? Date.now() - lastDataReceivedAt : Infinity;
+    let state;
+    if (age < settings.staleAfterMs) {
+        state = 'connected'; // includes local simulator samples while the server is away
+    } else if (hubState !== 'connected') {
+        state = hubState;
+    } else if (!lastDataReceivedAt) {
+        state = 'waiting';
+    } else {
+        state = age < settings.lostAfterMs ? 'stale' : 'lost';
+    }
+
+    if (isSessionActive && state !== 'connected' && state !== 'waiting') {
+        openConnectivityGap(state);
+    }
+    if (activeConnectivityGap) updateConnectivityGapStats(); // keep the running gap's length current
+
+    if (state === connectionState) return;
+    connectionState = state;
+    updateConnectionStatus(state);
+}
+
+// A gap starts at the last sample seen; its cause is the worst state reached
+function openConnectivityGap(state) {
+    if (activeConnectivityGap) {
+        if (state === 'lost' || state === 'offline') activeConnectivityGap.cause = state;
+        return;
+    }
+    const start = lastDataReceivedAt ? new Date(Math.max(lastDataReceivedAt, sessionStartTime.getTime())) : sessionStartTime;
+    activeConnectivityGap = {
+        id: connectivityGaps.length + 1,
+        start: start,
+        end: null,
+        durationMs: 0,
+        cause: state,
+        resolved: false
+    };
+    connectivityGaps.push(activeConnectivityGap);
+}
+
+// resolved is false when the session ended before data came back
+function closeConnectivityGap(end, resolved) {
+    if (!activeConnectivityGap) return;
+    activeConnectivityGap.end = end;
+    activeConnectivityGap.durationMs = end - activeConnectivityGap.start;
+    activeConnectivityGap.resolved = resolved;
+    activeConnectivityGap = null;
+    updateConnectivityGapStats();
+}
+
+function describeConnectivityGap(gap) {
+    const end = gap.end ? gap.end.toLocaleTimeString() : 'ongoing';
+    const duration = gap.end ? ` (${(gap.durationMs / 1000).toFixed(1)} s)` : '';
+    const note = gap.end && !gap.resolved ? ', session ended before data resumed' : '';
+    return `#${gap.id} ${gap.start.toLocaleTimeString()} - ${end}${duration}: ${gap.cause}${note}`;
+}
+
+function updateConnectivityGapStats() {
+    const total = connectivityGaps.reduce((sum, gap) => sum + (gap.end ? gap.durationMs : Date.now() - gap.start), 0);
+    document.getElementById('connectivityGaps').textContent =
+        connectivityGaps.length === 0 ? '0' : `${connectivityGaps.length} (${formatDuration(total)})`;
+}
+
+function buildSessionSummary() {
+    if (!sessionStartTime || sessionData.length === 0) return null;
     const endTime = new Date();
     const durationMs = endTime - sessionStartTime;
     const avgBlink = sessionData.reduce((s, d) => s + d.eyeBlinkRate, 0) / sessionData.length;
     const peakDrowsy = Math.max(...sessionData.map(d => d.drowsinessLevel));
     const summary = {
+        deviceId: selectedDeviceId,
+        driverId: sessionDriver ? sessionDriver.id : null,
+        driverName: sessionDriver ? sessionDriver.name : null,
         start: sessionStartTime.toISOString(),
         end: endTime.toISOString(),
         durationMs: durationMs,
         totalAlerts: totalAlerts,
         avgBlinkRate: Number.isFinite(avgBlink) ? avgBlink : 0,
         peakDrowsiness: Number.isFinite(peakDrowsy) ? peakDrowsy : 0,
+        reactionTime: getReactionTimeStats(),
+        connectivityGaps: connectivityGaps,
+        breaks: sessionBreaks,
+        breakRecommendations: breakRecommendations,
         points: sessionData.length
     };
-    recentSessions.unshift(summary);
-    recentSessions = recentSessions.slice(0, 10);
+    return summary;
+}
+
+function saveRecentSession() {
+    const summary = buildSessionSummary();
+    if (!summary) return;
+    if (matchesDriverFilter(summary)) recentSessions.unshift(summary);
     try {
-        localStorage.setItem('recentSessions', JSON.stringify(recentSessions));
+        localStorage.setItem('recentSessions', JSON.stringify([summary, ...readLocalSessions()].slice(0, 10)));
     } catch (_) {}
 }
 
+// Load the samples a joined session received before this dashboard opened,
+// holding back live samples until the history has been processed
+function backfillSession(sessionId) {
+    backfillQueue = [];
+    return fetch(`/api/sessions/${sessionId}/samples`)
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(samples => {
+            isBackfilling = true;
+            deferRendering = true;
+            samples.forEach(sample => {
+                sample.timestamp = new Date(sample.timestamp);
+                processSensorData(sample);
+            });
+        })
+        .catch(err => console.warn('Failed to load earlier session samples:', err))
+        .finally(() => {
+            isBackfilling = false;
+            deferRendering = false;
+            renderSessionView();
+            const queued = backfillQueue;
+            backfillQueue = null;
+            const last = sessionData[sessionData.length - 1];
+            queued
+                .filter(sample => !last || sample.timestamp > last.timestamp)
+                .forEach(processSensorData);
+        });
+}
+
 function renderRecentSessions() {
     const container = document.getElementById('sessionHistory');
     if (!container) return;
@@ -87,17 +970,26 @@ function renderRecentSessions() {
         container.innerHTML = '<div class="text-center text-muted"><i class="fas fa-history fa-2x mb-2"></i><p>No previous sessions found</p></div>';
         return;
     }
-    const items = recentSessions.map(s => {
-        const dur = formatDuration(s.durationMs);
+    const items = recentSessions.slice(0, 10).map(s => {
+        const dur = s.end ? formatDuration(s.durationMs) : 'In progress';
         const date = new Date(s.start).toLocaleString();
+        const reaction = s.reactionTime
+            ? `<div class=\"small\">Reaction: ${formatReactionTime(s.reactionTime.meanMs)} mean • ${formatReactionTime(s.reactionTime.worstMs)} worst</div>`
+            : '';
+        // Only sessions kept on the server have their samples
+        const replayButton = s.id && s.end && s.points > 0
+            ? `<button class="btn btn-sm btn-outline-secondary mt-1" data-replay-session="${s.id}"><i class="fas fa-play me-1"></i>Replay</button>`
+            : '';
         return `<div class="d-flex justify-content-between align-items-center border-bottom py-2">
             <div>
                 <div class=\"fw-semibold\">${date}</div>
-                <div class=\"text-muted small\">Duration: ${dur} • Points: ${s.points}</div>
+                <div class=\"text-muted small\">${s.driverName ? escapeHtml(s.driverName) + ' • ' : ''}${s.deviceId ? escapeHtml(s.deviceId) + ' • ' : ''}Duration: ${dur} • Points: ${s.points}${s.connectivityGaps && s.connectivityGaps.length ? ' • Gaps: ' + s.connectivityGaps.length : ''}${s.breaks && s.breaks.length ? ' • Breaks: ' + s.breaks.length : ''}</div>
             </div>
             <div class=\"text-end\">
-                <div class=\"small\">Alerts: <strong>${s.totalAlerts}</strong></div>
+                <div class=\"small\">Alert Episodes: <strong>${s.totalAlerts}</strong></div>
                 <div class=\"small\">Avg Blink: ${s.avgBlinkRate.toFixed(1)} BPM • Peak Drowsy: ${s.peakDrowsiness.toFixed(1)}%</div>
+                ${reaction}
+                ${replayButton}
             </div>
         </div>`;
     }).join('');
@@ -115,130 +1007,1647 @@ function formatDuration(ms) {
 }
 
 // ---------------------------
-// Simulation (client-side)
+// Session replay
 // ---------------------------
-function startSimulator() {
-    if (simulatorIntervalId) return;
-    simulatorState.lastBlinkMs = performance.now();
-    simulatorState.batteryLevel = 100;
-    simulatorState.tiltCooldown = 0;
-    simulatorState.baseTilt = { pitch: 0, roll: 0, yaw: 0 };
 
-    // Run the simulator every 2 seconds to slow visual updates
-    simulatorIntervalId = setInterval(simulatorTick, 2000);
-}
+const REPLAY_MAX_WAIT_MS = 2000; // longest real pause between replayed samples, however long the recorded gap
+let replay = null; // { session, samples, position, speed, timerId, alertPositions }, null when not replaying
 
-function stopSimulator() {
-    if (simulatorIntervalId) {
-        clearInterval(simulatorIntervalId);
-        simulatorIntervalId = null;
+// Replay a stored session through the same processing, chart and alert checks as
+// live samples, with the settings in effect now. Alarms stay silent, as during a
+// backfill. Not while a session runs: the replay takes over the displays.
+function openReplay(session, samples, startPosition) {
+    if (isSessionActive) {
+        alert('Stop the running session before replaying another.');
+        return;
     }
-}
+    if (!samples || samples.length === 0) {
+        alert('This session has no samples to replay.');
+        return;
+    }
+    closeReplay();
+    cancelCalibration();
+    replay = {
+        session: session,
+        samples: samples.map(sample => ({ ...sample, timestamp: new Date(sample.timestamp) })),
+        position: 0,
+        speed: parseFloat(document.getElementById('replaySpeed').value),
+        timerId: null,
+        alertPositions: []
+    };
+    sessionStartTime = new Date(session.start || replay.samples[0].timestamp);
+    sessionDriver = session.driverId ? { id: session.driverId, name: session.driverName || session.driverId } : null;
+
+    // One pass over the whole session finds where each alert was raised
+    seekReplay(replay.samples.length);
+    const raisedAt = new Map();
+    sessionData.forEach((data, index) => {
+        if (data.alertEpisodeId && !raisedAt.has(data.alertEpisodeId)) raisedAt.set(data.alertEpisodeId, index + 1);
+    });
+    replay.alertPositions = [...raisedAt.values()];
+    document.getElementById('replayAlertMarks').innerHTML = replay.alertPositions
+        .map(position => `<option value="${position}"></option>`)
+        .join('');
+
+    const scrubber = document.getElementById('replayScrubber');
+    scrubber.max = replay.samples.length;
+    document.getElementById('replayTitle').textContent = describeReplaySession(session);
+    document.getElementById('replayPanel').classList.remove('d-none');
+    updateReplayStatus();
+    updateCalibrationControls();
+    seekReplay(startPosition || 0);
+}
+
+function replayStoredSession(sessionId) {
+    const session = recentSessions.find(s => s.id === sessionId);
+    if (!session) return;
+    fetch(`/api/sessions/${sessionId}/samples`)
+        .then(response => response.ok ? response.json() : Promise.reject(response.status))
+        .then(samples => openReplay(session, samples))
+        .catch(err => {
+            console.error('Failed to load session samples for replay:', err);
+            alert('Could not load the samples of this session.');
+        });
+}
+
+function closeReplay() {
+    if (!replay) return;
+    pauseReplay();
+    replay = null;
+    batteryHistory = [];
+    resetSessionView();
+    document.getElementById('replayPanel').classList.add('d-none');
+    updateReplayStatus();
+    updateCalibrationControls();
+}
+
+function playReplay() {
+    if (!replay || replay.timerId !== null) return;
+    if (replay.position >= replay.samples.length) seekReplay(0);
+    scheduleReplayStep(0);
+    renderReplayControls();
+}
+
+function pauseReplay() {
+    if (!replay) return;
+    clearTimeout(replay.timerId);
+    replay.timerId = null;
+    renderReplayControls();
+}
+
+function toggleReplay() {
+    if (replay && replay.timerId !== null) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+}
+
+function scheduleReplayStep(waitMs) {
+    replay.timerId = setTimeout(stepReplay, waitMs);
+}
+
+// Show the next sample, then wait as long as the recording did before the one after
+function stepReplay() {
+    const sample = replay.samples[replay.position];
+    processReplaySample(sample);
+    replay.position++;
+    if (replay.position >= replay.samples.length) {
+        replay.timerId = null;
+        renderReplayControls();
+        return;
+    }
+    const gapMs = replay.samples[replay.position].timestamp - sample.timestamp;
+    scheduleReplayStep(Math.min(REPLAY_MAX_WAIT_MS, Math.max(0, gapMs) / replay.speed));
+    renderReplayControls();
+}
+
+// Rebuild the dashboard as it stood after `position` samples; going back starts over.
+// The samples on the way are processed without drawing, then the result is drawn once
+function seekReplay(position) {
+    const target = Math.max(0, Math.min(replay.samples.length, position));
+    if (target < replay.position || replay.position === 0) {
+        resetSessionView();
+        batteryHistory = [];
+        replay.position = 0;
+    }
+    deferRendering = true;
+    try {
+        while (replay.position < target) {
+            processReplaySample(replay.samples[replay.position]);
+            replay.position++;
+        }
+    } finally {
+        deferRendering = false;
+    }
+    renderSessionView();
+    renderReplayControls();
+}
+
+// Processing adds its results to the sample, so each pass works on a fresh copy
+function processReplaySample(sample) {
+    isBackfilling = true;
+    try {
+        processSensorData({ ...sample, headMovement: { ...sample.headMovement } });
+    } finally {
+        isBackfilling = false;
+    }
+}
+
+// Jump to the moment the previous or next alert was raised
+function seekReplayAlert(direction) {
+    if (!replay) return;
+    const positions = direction < 0
+        ? replay.alertPositions.filter(position => position < replay.position).reverse()
+        : replay.alertPositions.filter(position => position > replay.position);
+    if (positions.length === 0) return;
+    pauseReplay();
+    seekReplay(positions[0]);
+}
+
+// The chart shows the samples up to the current position; clicking one goes back to it
+function seekReplayToChartPoint(event) {
+    if (!replay) return;
+    const points = drowsinessChart.getElementsAtEventForMode(event, 'index', { intersect: false }, false);
+    if (points.length === 0) return;
+    const shown = drowsinessChart.data.labels.length - projectionLength;
+    if (points[0].index >= shown) return;
+    pauseReplay();
+    seekReplay(replay.position - (shown - 1 - points[0].index));
+}
+
+function renderReplayControls() {
+    if (!replay) return;
+    const playing = replay.timerId !== null;
+    const first = replay.samples[0].timestamp;
+    const last = replay.samples[replay.samples.length - 1].timestamp;
+    const current = replay.position > 0 ? replay.samples[replay.position - 1].timestamp : first;
+    document.getElementById('replayScrubber').value = replay.position;
+    document.getElementById('replayPosition').textContent =
+        `${formatDuration(current - first)} / ${formatDuration(last - first)} • ${current.toLocaleTimeString()}`;
+    document.getElementById('replayPlayBtn').innerHTML = playing
+        ? '<i class="fas fa-pause me-1"></i>Pause'
+        : '<i class="fas fa-play me-1"></i>Play';
+    document.getElementById('replayPrevAlertBtn').disabled = !replay.alertPositions.some(position => position < replay.position);
+    document.getElementById('replayNextAlertBtn').disabled = !replay.alertPositions.some(position => position > replay.position);
+    const raised = replay.alertPositions.filter(position => position <= replay.position).length;
+    document.getElementById('replayAlerts').textContent = `Alerts raised: ${raised} of ${replay.alertPositions.length}`;
+}
+
+// Dragging only moves the time shown; letting go rebuilds the dashboard there
+function updateReplayScrubber(event) {
+    if (!replay) return;
+    const position = parseInt(event.target.value);
+    if (event.type === 'input') {
+        const first = replay.samples[0].timestamp;
+        const sample = replay.samples[Math.max(0, position - 1)];
+        document.getElementById('replayPosition').textContent = `${formatDuration(sample.timestamp - first)} • ${sample.timestamp.toLocaleTimeString()}`;
+        return;
+    }
+    pauseReplay();
+    seekReplay(position);
+}
+
+function updateReplaySpeed() {
+    if (!replay) return;
+    replay.speed = parseFloat(document.getElementById('replaySpeed').value);
+}
+
+function updateReplayStatus() {
+    if (isSessionActive) return;
+    const statusElement = document.getElementById('sessionStatus');
+    if (replay) {
+        statusElement.className = 'badge bg-info text-dark';
+        statusElement.textContent = 'Replay';
+    } else {
+        updateSessionStatus(false);
+    }
+}
+
+function describeReplaySession(session) {
+    const parts = [new Date(session.start || Date.now()).toLocaleString()];
+    if (session.driverName) parts.push(session.driverName);
+    if (session.deviceId) parts.push(session.deviceId);
+    if (session.durationMs) parts.push(formatDuration(session.durationMs));
+    if (session.fileName) parts.push('imported from ' + session.fileName);
+    return parts.join(' • ');
+}
+
+// ---------------------------
+// Session import
+// ---------------------------
+
+// JSON and NDJSON exports carry the schema version they were written with; a
+// change that older readers would misread needs the next version
+const EXPORT_SCHEMA = 'drowsiness-session';
+const EXPORT_SCHEMA_VERSION = 1;
+
+// Export columns read back, by header name without the unit. The raw angles are
+// preferred; older exports only have the angles relative to the head pose zero.
+const IMPORT_COLUMNS = {
+    timestamp: 'timestamp',
+    eyeBlinkRate: 'blink rate',
+    eyeClosureDuration: 'eye closure',
+    drowsinessLevel: 'drowsiness level',
+    rawPitch: 'raw pitch',
+    rawRoll: 'raw roll',
+    rawYaw: 'raw yaw',
+    pitch: 'pitch',
+    roll: 'roll',
+    yaw: 'yaw',
+    alertTriggered: 'alert triggered',
+    batteryLevel: 'battery level',
+    rssi: 'rssi',
+    wifiChannel: 'wi-fi channel'
+};
+const IMPORT_REQUIRED_COLUMNS = ['timestamp', 'eyeBlinkRate', 'drowsinessLevel', 'batteryLevel'];
+
+// The device's own readings kept from a JSON import, in the order the server sends
+// them; the rest is worked out again
+const IMPORT_DEVICE_FIELDS = ['deviceId', 'timestamp', 'eyeBlinkRate', 'eyeClosureDuration', 'headMovement', 'drowsinessLevel',
+    'alertTriggered', 'batteryLevel', 'rssi', 'wifiChannel', 'packetsSent', 'packetsLost', 'configVersion'];
+
+// Open a session exported from a dashboard, as a read-only replay positioned at
+// its end so the chart, statistics and exports show all of it
+function importSessionFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // the same file can be picked again
+    if (!file) return;
+    if (isSessionActive) {
+        alert('Stop the running session before importing another.');
+        return;
+    }
+    file.text()
+        .then(text => {
+            text = text.replace(/^\uFEFF/, '');
+            const imported = text.trimStart().startsWith('{') ? readImportedJson(text) : readImportedSamples(text);
+            const status = `Imported ${imported.samples.length} samples from ${file.name}` +
+                (imported.skipped.length ? `; skipped ${imported.skipped.length} invalid rows` : '');
+            document.getElementById('importStatus').textContent = status;
+            if (imported.skipped.length) console.warn(`Rows skipped importing ${file.name}:`, imported.skipped);
+            if (imported.samples.length === 0) return;
+
+            const exported = imported.session || {};
+            const start = exported.start ? new Date(exported.start) : imported.samples[0].timestamp;
+            const last = imported.samples[imported.samples.length - 1].timestamp;
+            openReplay({
+                id: exported.id || null,
+                deviceId: exported.deviceId || null,
+                driverId: exported.driverId || null,
+                driverName: exported.driverName || null,
+                start: start.toISOString(),
+                end: last.toISOString(),
+                durationMs: last - start,
+                points: imported.samples.length,
+                fileName: file.name
+            }, imported.samples, imported.samples.length);
+        })
+        .catch(err => {
+            console.error('Failed to import session:', err);
+            document.getElementById('importStatus').textContent = `Could not import ${file.name}: ${err.message}`;
+        });
+}
+
+// Samples in time order, and the rows left out with the reason; rows are checked
+// with the rules live samples must pass
+function readImportedSamples(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) throw new Error('the file is empty');
+
+    const headers = rows[0].map(header => header.replace(/\s*\([^)]*\)\s*$/, '').trim().toLowerCase());
+    const columns = {};
+    Object.keys(IMPORT_COLUMNS).forEach(key => {
+        columns[key] = headers.indexOf(IMPORT_COLUMNS[key]);
+    });
+    const missing = IMPORT_REQUIRED_COLUMNS.filter(key => columns[key] < 0);
+    const angles = ['rawPitch', 'rawRoll', 'rawYaw'].every(key => columns[key] >= 0)
+        ? ['rawPitch', 'rawRoll', 'rawYaw']
+        : ['pitch', 'roll', 'yaw'];
+    if (angles.some(key => columns[key] < 0)) missing.push('pitch', 'roll', 'yaw');
+    if (missing.length) throw new Error('missing columns: ' + missing.map(key => IMPORT_COLUMNS[key]).join(', '));
+
+    const samples = [];
+    const skipped = [];
+    rows.slice(1).forEach((row, index) => {
+        const value = key => columns[key] < 0 || row[columns[key]] === undefined ? '' : row[columns[key]].trim();
+        const number = key => value(key) === '' ? NaN : Number(value(key));
+        const optional = key => value(key) === '' ? null : number(key);
+        const timestamp = value('timestamp');
+        const sample = {
+            timestamp: /^\d+$/.test(timestamp) ? new Date(Number(timestamp)) : new Date(timestamp),
+            eyeBlinkRate: number('eyeBlinkRate'),
+            eyeClosureDuration: optional('eyeClosureDuration') || 0,
+            headMovement: { pitch: number(angles[0]), roll: number(angles[1]), yaw: number(angles[2]) },
+            drowsinessLevel: number('drowsinessLevel'),
+            alertTriggered: /^(yes|true|1)$/i.test(value('alertTriggered')),
+            batteryLevel: number('batteryLevel'),
+            rssi: optional('rssi'),
+            wifiChannel: optional('wifiChannel')
+        };
+        const error = getSensorDataError(sample);
+        if (error) {
+            skipped.push({ row: index + 2, reason: error });
+        } else {
+            samples.push(sample);
+        }
+    });
+    samples.sort((a, b) => a.timestamp - b.timestamp);
+    return { samples: samples, skipped: skipped };
+}
+
+// A JSON export holds the samples in one document; NDJSON has a session record
+// followed by a sample record per line
+function readImportedJson(text) {
+    let header = null;
+    const records = [];
+    const skipped = [];
+    try {
+        header = JSON.parse(text);
+        (Array.isArray(header.samples) ? header.samples : []).forEach((record, index) => records.push({ record: record, row: index + 1 }));
+    } catch (_) {
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (line.trim() === '') return;
+            try {
+                const record = JSON.parse(line);
+                if (record.record === 'session') {
+                    header = record;
+                } else if (record.record === 'sample') {
+                    records.push({ record: record, row: index + 1 });
+                }
+            } catch (_) {
+                skipped.push({ row: index + 1, reason: 'not JSON' });
+            }
+        });
+    }
+    if (!header || header.schema !== EXPORT_SCHEMA) throw new Error('not a session export');
+    if (!(header.schemaVersion <= EXPORT_SCHEMA_VERSION)) {
+        throw new Error(`schema version ${header.schemaVersion} is newer than this dashboard reads (${EXPORT_SCHEMA_VERSION})`);
+    }
+
+    const samples = [];
+    records.forEach(({ record, row }) => {
+        const sample = {};
+        IMPORT_DEVICE_FIELDS.forEach(field => {
+            if (record[field] !== undefined) sample[field] = record[field];
+        });
+        sample.timestamp = new Date(record.timestamp);
+        if (sample.headMovement) sample.headMovement = { ...sample.headMovement };
+        const error = getSensorDataError(sample);
+        if (error) {
+            skipped.push({ row: row, reason: error });
+        } else {
+            samples.push(sample);
+        }
+    });
+    samples.sort((a, b) => a.timestamp - b.timestamp);
+    return { samples: samples, skipped: skipped, session: header.session };
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks, as
+// spreadsheets write them when an export is saved again
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// ---------------------------
+// Simulation (client-side)
+// ---------------------------
+
+// Send a simulated sample through the hub so it is persisted and broadcast
+// like a device sample; fall back to local processing when offline
+function publishSensorData(data) {
+    simulatorSampleTimes.add(data.timestamp.getTime());
+    if (connection.state !== signalR.HubConnectionState.Connected) {
+        handleLiveSample(data);
+        return;
+    }
+    connection.invoke('SendSensorData', { ...data, timestamp: data.timestamp.getTime() })
+        .catch(err => {
+            console.error('Failed to publish simulated data: ', err);
+            handleLiveSample(data);
+        });
+}
+
+// The simulator only stands in for a headset that is not streaming: its samples
+// would otherwise be stored in that device's session next to the real ones
+function isDeviceStreaming() {
+    return !simulatorIntervalId && lastDataReceivedAt !== null &&
+        Date.now() - lastDataReceivedAt < getWatchdogSettings().staleAfterMs;
+}
+
+function startSimulatorUnlessDeviceStreams() {
+    if (isDeviceStreaming()) {
+        console.log('Device is streaming; simulator not started');
+        return;
+    }
+    startSimulator();
+}
+
+// Runs the scenario chosen in the simulator panel; a blank seed picks one at random
+function startSimulator() {
+    if (simulatorIntervalId) return;
+    const settings = readSimulatorSettings();
+    simulator = SensorSimulator.create({
+        scenario: settings.scenario,
+        params: settings.params[settings.scenario],
+        seed: settings.seed,
+        sampleRateHz: settings.sampleRateHz,
+        deviceId: selectedDeviceId,
+        mountPitch: SIMULATED_MOUNT_PITCH
+    });
+    lastSimulatorSeed = simulator.seed;
+    console.log(`Simulator started: ${simulator.scenario.label}, seed ${simulator.seed}, ${simulator.sampleRateHz} Hz`);
+    simulatorIntervalId = setInterval(simulatorTick, simulator.intervalMs);
+    renderSimulatorStatus();
+}
+
+function stopSimulator() {
+    if (simulatorIntervalId) {
+        clearInterval(simulatorIntervalId);
+        simulatorIntervalId = null;
+    }
+    simulatorSampleTimes.clear();
+    renderSimulatorStatus();
+}
 
 function simulatorTick() {
+    if ((!isSessionActive || isOnBreak()) && !calibration) return;
+
+    // Calibration wants the driver alert whatever the scenario
+    const sample = simulator.next(new Date(), {
+        baseline: getBaseline(),
+        threshold: parseInt(document.getElementById('drowsinessThreshold').value),
+        tiltLimit: getTiltLimit(),
+        calm: !!calibration
+    });
+    renderSimulatorStatus();
+    if (sample) publishSensorData(sample);
+}
+
+// Changing the run while it plays starts it over, so every sample comes from one setup
+function restartSimulator() {
+    if (!simulatorIntervalId) return;
+    stopSimulator();
+    startSimulator();
+}
+
+// ---------------------------
+// Simulator panel
+// ---------------------------
+
+// { scenario, seed, sampleRateHz, params: { scenario: { param: value } } }, kept in
+// this browser only: the simulator drives this dashboard's sessions alone
+function readSimulatorSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem('simulatorSettings'));
+    } catch (_) {}
+    const seed = parseInt(document.getElementById('simulatorSeed').value);
+    return {
+        scenario: document.getElementById('simulatorScenario').value,
+        seed: Number.isInteger(seed) ? seed : null,
+        sampleRateHz: parseFloat(document.getElementById('simulatorSampleRate').value),
+        params: (saved && saved.params) || {}
+    };
+}
+
+function saveSimulatorSettings(settings) {
+    try {
+        localStorage.setItem('simulatorSettings', JSON.stringify({
+            scenario: settings.scenario,
+            seed: settings.seed,
+            sampleRateHz: settings.sampleRateHz,
+            params: settings.params
+        }));
+    } catch (_) {}
+}
+
+function initializeSimulatorPanel() {
+    const select = document.getElementById('simulatorScenario');
+    select.innerHTML = SensorSimulator.getScenarios()
+        .map(scenario => `<option value="${scenario.name}">${escapeHtml(scenario.label)}</option>`)
+        .join('');
+
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem('simulatorSettings'));
+    } catch (_) {}
+    if (saved) {
+        select.value = SensorSimulator.getScenario(saved.scenario).name;
+        document.getElementById('simulatorSeed').value = Number.isInteger(saved.seed) ? saved.seed : '';
+        if (saved.sampleRateHz) document.getElementById('simulatorSampleRate').value = String(saved.sampleRateHz);
+    }
+    renderSimulatorParameters();
+    renderSimulatorStatus();
+}
+
+// One slider per parameter the scenario offers, at the value last used with it
+function renderSimulatorParameters() {
+    const settings = readSimulatorSettings();
+    const scenario = SensorSimulator.getScenario(settings.scenario);
+    const values = settings.params[scenario.name] || {};
+    document.getElementById('simulatorScenarioDescription').textContent = scenario.description;
+    document.getElementById('simulatorParameters').innerHTML = Object.keys(scenario.params).map(name => {
+        const parameter = SensorSimulator.getParameter(name);
+        const value = name in values ? values[name] : scenario.params[name];
+        return `
+            <div class="col-md-3 mb-3">
+                <label class="form-label" for="simulatorParam-${name}">${escapeHtml(parameter.label)}:</label>
+                <input type="range" class="form-range" id="simulatorParam-${name}" data-param="${name}"
+                       min="${parameter.min}" max="${parameter.max}" step="${parameter.step}" value="${value}">
+                <div class="text-center">
+                    <span id="simulatorParam-${name}Value">${value} ${parameter.unit}</span>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+function updateSimulatorParameter(event) {
+    const input = event.target;
+    if (!input.dataset.param) return;
+    const parameter = SensorSimulator.getParameter(input.dataset.param);
+    document.getElementById(`${input.id}Value`).textContent = `${input.value} ${parameter.unit}`;
+    if (event.type !== 'change') return;
+
+    const settings = readSimulatorSettings();
+    settings.params[settings.scenario] = { ...settings.params[settings.scenario], [input.dataset.param]: parseFloat(input.value) };
+    saveSimulatorSettings(settings);
+    restartSimulator();
+}
+
+function updateSimulatorSettings(event) {
+    if (event && event.target.id === 'simulatorScenario') renderSimulatorParameters();
+    saveSimulatorSettings(readSimulatorSettings());
+    restartSimulator();
+}
+
+// Put the seed of the last run in the seed box so the next run repeats it
+function reuseSimulatorSeed() {
+    if (lastSimulatorSeed === null) return;
+    document.getElementById('simulatorSeed').value = lastSimulatorSeed;
+    updateSimulatorSettings();
+}
+
+function renderSimulatorStatus() {
+    const status = document.getElementById('simulatorStatus');
+    document.getElementById('reuseSimulatorSeedBtn').disabled = lastSimulatorSeed === null;
+    if (!simulatorIntervalId) {
+        status.textContent = lastSimulatorSeed === null
+            ? 'Idle. Runs when this dashboard starts a session or calibrates and the device is not streaming.'
+            : `Idle. Last run used seed ${lastSimulatorSeed}.`;
+        return;
+    }
+    const state = simulator.state;
+    const details = [
+        `${simulator.scenario.label}, seed ${simulator.seed}, ${simulator.sampleRateHz} Hz`,
+        `${state.samples} samples (${state.packetsLost} lost)`
+    ];
+    if (simulator.params.fatigueRampMin > 0) details.push(`fatigue ${(state.fatigue * 100).toFixed(0)}%`);
+    if (state.faultLeftS > 0) details.push('sensor fault');
+    if (state.batteryLevel <= 0) details.push('battery flat, no longer sending');
+    status.textContent = 'Running: ' + details.join(' • ');
+}
+
+// ---------------------------
+// PERCLOS (percentage of eyelid closure)
+// ---------------------------
+
+// Rolling window length from the settings panel, in milliseconds
+function getPerclosWindowMs() {
+    return parseInt(document.getElementById('perclosWindow').value) * 1000;
+}
+
+// Percentage of the trailing window during which the eyes were closed.
+// Each sample reports how long the eyes were closed since the previous one,
+// so summing eyeClosureDuration over the window gives total closed time.
+// Returns null while the session is too short to give a meaningful value.
+function computePerclos(samples, endTime, windowMs) {
+    if (samples.length === 0) return null;
+
+    const coveredMs = Math.min(windowMs, endTime - samples[0].timestamp);
+    if (coveredMs < PERCLOS_MIN_COVERAGE_MS) return null;
+
+    const windowStart = endTime - windowMs;
+    let closedMs = 0;
+    for (let i = samples.length - 1; i >= 0 && samples[i].timestamp > windowStart; i--) {
+        closedMs += (Number(samples[i].eyeClosureDuration) || 0) * 1000;
+    }
+    return Math.min(100, (closedMs / coveredMs) * 100);
+}
+
+function formatPerclos(perclos, digits) {
+    return perclos === null || perclos === undefined ? '--' : perclos.toFixed(digits);
+}
+
+// ---------------------------
+// Microsleep detection
+// ---------------------------
+
+// Open, extend or close a microsleep episode for the incoming sample.
+// An episode is a closure at least as long as the configured minimum, or any
+// closure that coincides with the head pitching down (a nod-off).
+function detectMicrosleep(data, previous) {
+    const minClosureSeconds = parseFloat(document.getElementById('microsleepMinDuration').value);
+    const pitchDropLimit = parseInt(document.getElementById('microsleepPitchDrop').value);
+
+    const closureSeconds = Number(data.eyeClosureDuration) || 0;
+    const pitchDrop = previous ? previous.headMovement.pitch - data.headMovement.pitch : 0;
+    const sustainedClosure = closureSeconds >= minClosureSeconds;
+    const headNod = closureSeconds > 0 && pitchDrop >= pitchDropLimit;
+
+    if (!sustainedClosure && !headNod) {
+        activeMicrosleep = null;
+        return;
+    }
+
+    if (!activeMicrosleep) {
+        // The device reports closure after the fact, so the episode began that long ago
+        activeMicrosleep = {
+            id: microsleepEvents.length + 1,
+            start: new Date(data.timestamp - closureSeconds * 1000),
+            end: data.timestamp,
+            durationMs: 0,
+            closedSeconds: 0,
+            maxPitchDrop: 0,
+            headNod: false,
+            severity: 'mild'
+        };
+        microsleepEvents.push(activeMicrosleep);
+        console.log('Microsleep started at', activeMicrosleep.start.toLocaleTimeString());
+    }
+
+    activeMicrosleep.end = data.timestamp;
+    activeMicrosleep.durationMs = activeMicrosleep.end - activeMicrosleep.start;
+    activeMicrosleep.closedSeconds += closureSeconds;
+    activeMicrosleep.maxPitchDrop = Math.max(activeMicrosleep.maxPitchDrop, pitchDrop);
+    activeMicrosleep.headNod = activeMicrosleep.headNod || headNod;
+    activeMicrosleep.severity = classifyMicrosleep(activeMicrosleep);
+    data.microsleepId = activeMicrosleep.id;
+}
+
+function classifyMicrosleep(event) {
+    const seconds = event.durationMs / 1000;
+    if (seconds >= 3 || (event.headNod && seconds >= 1.5)) return 'severe';
+    if (seconds >= 1.5 || event.headNod) return 'moderate';
+    return 'mild';
+}
+
+function describeMicrosleep(event) {
+    return `#${event.id} ${event.start.toLocaleTimeString()} - ${event.end.toLocaleTimeString()} ` +
+        `(${(event.durationMs / 1000).toFixed(1)} s, ${event.severity}${event.headNod ? ', head nod' : ''})`;
+}
+
+// Draw each episode on the timeline strip, scaled to the span of the session's samples
+function renderMicrosleepTimeline() {
+    const container = document.getElementById('microsleepTimeline');
+    document.getElementById('microsleepCount').textContent =
+        `${microsleepEvents.length} event${microsleepEvents.length === 1 ? '' : 's'}`;
+
+    if (sessionData.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const origin = Math.min(sessionData[0].timestamp, ...microsleepEvents.map(e => e.start));
+    const span = Math.max(sessionData[sessionData.length - 1].timestamp - origin, 1);
+    container.innerHTML = microsleepEvents.map(event => {
+        const left = ((event.start - origin) / span) * 100;
+        const width = (event.durationMs / span) * 100;
+        return `<div class="microsleep-marker severity-${event.severity}" style="left: ${left}%; width: ${width}%;" title="${describeMicrosleep(event)}"></div>`;
+    }).join('');
+}
+
+// ---------------------------
+// Link quality
+// ---------------------------
+
+// Map RSSI onto the signal bar: -90 dBm and below is empty, -30 dBm full
+function getSignalQuality(rssi) {
+    const percent = Math.max(0, Math.min(100, ((rssi + 90) / 60) * 100));
+    let className = 'bg-danger';
+    if (rssi >= -67) className = 'bg-success';
+    else if (rssi >= -80) className = 'bg-warning';
+    return { percent, className };
+}
+
+// Loss since the previous sample, from the device's counters. Counters that
+// went backwards mean the device rebooted in between, so nothing can be said.
+function computePacketLoss(data, previous) {
+    if (!previous || data.packetsSent == null || previous.packetsSent == null) return null;
+    const sent = data.packetsSent - previous.packetsSent;
+    const lost = data.packetsLost - previous.packetsLost;
+    if (sent <= 0 || lost < 0) return null;
+    return (lost / sent) * 100;
+}
+
+function createLinkQualityTotals() {
+    return { rssiSum: 0, rssiCount: 0, minRssi: null, sent: 0, lost: 0 };
+}
+
+// Adds a session sample, whose packetLoss is already worked out, to the totals
+function recordLinkQuality(data, previous) {
+    const totals = linkQualityTotals;
+    if (data.rssi !== null && data.rssi !== undefined) {
+        totals.rssiSum += data.rssi;
+        totals.rssiCount++;
+        if (totals.minRssi === null || data.rssi < totals.minRssi) totals.minRssi = data.rssi;
+    }
+    if (data.packetLoss !== null) {
+        totals.sent += data.packetsSent - previous.packetsSent;
+        totals.lost += data.packetsLost - previous.packetsLost;
+    }
+}
+
+function getLinkQualityStats() {
+    const totals = linkQualityTotals;
+    if (totals.rssiCount === 0 && totals.sent === 0) return null;
+    return {
+        avgRssi: totals.rssiCount > 0 ? totals.rssiSum / totals.rssiCount : null,
+        minRssi: totals.minRssi,
+        packetLoss: totals.sent > 0 ? (totals.lost / totals.sent) * 100 : null
+    };
+}
+
+function describeLinkQualityStats(stats) {
+    if (!stats) return 'No signal data';
+    const parts = [];
+    if (stats.avgRssi !== null) parts.push(`${stats.avgRssi.toFixed(0)} dBm average, ${stats.minRssi} dBm weakest`);
+    if (stats.packetLoss !== null) parts.push(`${stats.packetLoss.toFixed(1)}% packet loss`);
+    return parts.join(', ');
+}
+
+// ---------------------------
+// Battery forecasting
+// ---------------------------
+
+// Keep the readings the discharge rate is fitted over. Device timestamps may
+// count from boot, so a timestamp going backwards means the history is void.
+function recordBatterySample(data) {
+    const t = data.timestamp.getTime();
+    const last = batteryHistory[batteryHistory.length - 1];
+    if (last && t < last.t) batteryHistory = [];
+    if (last && t === last.t) return;
+    batteryHistory.push({ t: t, level: data.batteryLevel });
+    while (batteryHistory.length > 0 && t - batteryHistory[0].t > BATTERY_FORECAST_WINDOW_MS) {
+        batteryHistory.shift();
+    }
+}
+
+// Least-squares line through the recent readings. Returns null until there is
+// at least a minute of data; timeToEmptyMs is null while not discharging.
+function getBatteryForecast() {
+    if (batteryHistory.length < 5) return null;
+    const first = batteryHistory[0];
+    const last = batteryHistory[batteryHistory.length - 1];
+    if (last.t - first.t < 60000) return null;
+
+    const n = batteryHistory.length;
+    const meanT = batteryHistory.reduce((sum, p) => sum + (p.t - first.t), 0) / n;
+    const meanLevel = batteryHistory.reduce((sum, p) => sum + p.level, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    batteryHistory.forEach(p => {
+        covariance += (p.t - first.t - meanT) * (p.level - meanLevel);
+        variance += (p.t - first.t - meanT) ** 2;
+    });
+    const slopePerMs = covariance / variance;
+    const ratePerHour = -slopePerMs * 3600000;
+    return {
+        ratePerHour: ratePerHour,
+        timeToEmptyMs: ratePerHour > 0.1 ? (last.level / ratePerHour) * 3600000 : null
+    };
+}
+
+function describeBatteryForecast(forecast) {
+    if (!forecast) return 'Estimating...';
+    if (forecast.timeToEmptyMs === null) return 'Not discharging';
+    return `~${formatTimeLeft(forecast.timeToEmptyMs)} to empty (${forecast.ratePerHour.toFixed(1)}%/h)`;
+}
+
+function formatTimeLeft(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${(minutes % 60).toString().padStart(2, '0')} min`;
+}
+
+// Low battery is its own alert category: it never opens a drowsiness episode
+// or sounds the drowsiness alarm. Each level warns once per session.
+function checkBatteryWarnings(data) {
+    const level = BATTERY_WARNING_LEVELS
+        .filter(warningLevel => data.batteryLevel <= warningLevel)
+        .pop();
+    if (level === undefined || batteryWarnings.some(existing => existing.level <= level)) return;
+
+    const forecast = getBatteryForecast();
+    const warning = {
+        level: level,
+        at: data.timestamp,
+        batteryLevel: data.batteryLevel,
+        timeToEmptyMs: forecast ? forecast.timeToEmptyMs : null
+    };
+    batteryWarnings.push(warning);
+    data.batteryWarning = level;
+    showBatteryWarning(warning);
+    if (!isBackfilling) playBatteryWarning();
+}
+
+function showBatteryWarning(warning) {
+    const element = document.getElementById('batteryAlert');
+    const timeLeft = warning.timeToEmptyMs !== null ? ` • ~${formatTimeLeft(warning.timeToEmptyMs)} left` : '';
+    element.className = `alert ${warning.level <= 5 ? 'alert-danger' : 'alert-warning'} py-2 mb-3`;
+    element.innerHTML = `<i class="fas fa-battery-quarter me-2"></i>Battery at ${warning.batteryLevel.toFixed(0)}% (below ${warning.level}%)${timeLeft}`;
+}
+
+function clearBatteryWarning() {
+    document.getElementById('batteryAlert').className = 'alert d-none';
+}
+
+function playBatteryWarning() {
+    playTone(440, 200, 0.3, 'triangle');
+    setTimeout(() => playTone(330, 300, 0.3, 'triangle'), 250);
+}
+
+function describeBatteryWarning(warning) {
+    const timeLeft = warning.timeToEmptyMs !== null ? `, ~${formatTimeLeft(warning.timeToEmptyMs)} left` : '';
+    return `${warning.at.toLocaleTimeString()}: below ${warning.level}% (${warning.batteryLevel.toFixed(0)}%${timeLeft})`;
+}
+
+// Planned trip length in milliseconds, 0 when no trip is planned
+function getPlannedTripMs() {
+    return parseInt(document.getElementById('plannedTripLength').value) * 60000;
+}
+
+// Ask before starting when the battery is not expected to last the planned trip
+function confirmBatteryForTrip() {
+    const plannedMs = getPlannedTripMs();
+    const forecast = getBatteryForecast();
+    if (plannedMs === 0 || !forecast || forecast.timeToEmptyMs === null || forecast.timeToEmptyMs >= plannedMs) {
+        return true;
+    }
+    return confirm(`The battery is projected to last about ${formatTimeLeft(forecast.timeToEmptyMs)}, ` +
+        `shorter than the planned ${formatTimeLeft(plannedMs)} trip. Start the session anyway?`);
+}
+
+// ---------------------------
+// Fatigue trend and early warning
+// ---------------------------
+
+// Line fitted to the smoothed score and to PERCLOS over the trend window, with the
+// minutes until either reaches its alert level. Samples from before PERCLOS was known
+// score low and would look like a rise, so the samples must span a minute without them.
+function getFatigueTrend() {
+    if (sessionData.length === 0) return null;
+    const end = sessionData[sessionData.length - 1].timestamp;
+    const recent = getRecentSamples(end - FATIGUE_TREND_WINDOW_MS).filter(d => d.perclos !== null);
+    if (recent.length < 5 || end - recent[0].timestamp < FATIGUE_TREND_MIN_SPAN_MS) return null;
+
+    let smoothed = recent[0].dashboardScore;
+    const scorePoints = recent.map(d => {
+        smoothed += FATIGUE_SMOOTHING * (d.dashboardScore - smoothed);
+        return { time: d.timestamp.valueOf(), value: smoothed };
+    });
+    const perclosPoints = recent.map(d => ({ time: d.timestamp.valueOf(), value: d.perclos }));
+    const options = getScoringOptions();
+    const slope = DrowsinessScoring.computeTrend(scorePoints);
+    const perclosSlope = DrowsinessScoring.computeTrend(perclosPoints);
+
+    const minutes = [
+        minutesUntil(smoothed, slope, options.threshold),
+        minutesUntil(recent[recent.length - 1].perclos, perclosSlope, options.perclosThreshold)
+    ].filter(m => m !== null);
+    return {
+        time: end,
+        score: smoothed,
+        slopePerMin: slope,
+        perclosSlopePerMin: perclosSlope,
+        minutesToThreshold: minutes.length ? Math.min(...minutes) : null
+    };
+}
+
+// Minutes until a rising value reaches the limit: 0 once there, null when not rising
+function minutesUntil(value, slopePerMin, limit) {
+    if (value === null || slopePerMin === null) return null;
+    if (value >= limit) return 0;
+    return slopePerMin > 0 ? (limit - value) / slopePerMin : null;
+}
+
+function getEarlyWarningHorizonMin() {
+    return parseInt(document.getElementById('earlyWarningHorizon').value);
+}
+
+// Soft pre-warning while the trend reaches the threshold within the horizon. A hard
+// alert takes over from it; otherwise it clears once the prediction moves well out.
+function updateFatigueWarning(data, trend) {
+    const minutes = trend ? trend.minutesToThreshold : null;
+    const horizon = getEarlyWarningHorizonMin();
+
+    if (activeAlertEpisode) {
+        if (activeFatigueWarning) {
+            activeFatigueWarning.alertEpisodeId = activeAlertEpisode.id;
+            activeFatigueWarning.leadTimeMs = activeAlertEpisode.start - activeFatigueWarning.start;
+            endFatigueWarning();
+        }
+        return;
+    }
+
+    if (!activeFatigueWarning) {
+        if (minutes === null || minutes > horizon) return;
+        activeFatigueWarning = {
+            id: fatigueWarnings.length + 1,
+            start: data.timestamp,
+            end: data.timestamp,
+            minutesToThreshold: minutes,
+            alertEpisodeId: null,
+            leadTimeMs: null
+        };
+        fatigueWarnings.push(activeFatigueWarning);
+        console.log('Fatigue pre-warning:', describeFatigueTrend(trend));
+        if (!isBackfilling) playFatigueWarning();
+    } else if (minutes === null || minutes > horizon * 1.5) {
+        endFatigueWarning();
+        return;
+    }
+
+    activeFatigueWarning.end = data.timestamp;
+    data.fatigueWarningId = activeFatigueWarning.id;
+    showFatigueWarning(minutes);
+}
+
+function endFatigueWarning() {
+    activeFatigueWarning = null;
+    document.getElementById('fatigueWarning').className = 'alert d-none';
+}
+
+function showFatigueWarning(minutes) {
+    const element = document.getElementById('fatigueWarning');
+    const eta = minutes > 0 ? `alert threshold in about ${formatMinutes(minutes)}` : 'at the alert threshold';
+    element.className = 'alert alert-warning py-2 mb-0 mt-2';
+    element.innerHTML = `<i class="fas fa-coffee me-2"></i>Fatigue building — consider a break (${eta})`;
+}
+
+function playFatigueWarning() {
+    playTone(660, 300, 0.15);
+}
+
+function formatMinutes(minutes) {
+    return minutes < 1 ? 'under a minute' : `${Math.round(minutes)} min`;
+}
+
+function describeFatigueTrend(trend) {
+    if (!trend) return 'collecting data';
+    const signed = value => (value >= 0 ? '+' : '') + value.toFixed(1);
+    const perclos = trend.perclosSlopePerMin !== null ? `, PERCLOS ${signed(trend.perclosSlopePerMin)} %/min` : '';
+    const eta = trend.minutesToThreshold === null
+        ? 'not approaching the threshold'
+        : trend.minutesToThreshold > 0 ? `threshold in ~${formatMinutes(trend.minutesToThreshold)}` : 'at the threshold';
+    return `score ${signed(trend.slopePerMin)} points/min${perclos} • ${eta}`;
+}
+
+function describeFatigueWarning(warning) {
+    const outcome = warning.alertEpisodeId
+        ? `hard alert #${warning.alertEpisodeId} followed ${formatMinutes(warning.leadTimeMs / 60000)} later`
+        : 'no hard alert followed';
+    return `#${warning.id} ${warning.start.toLocaleTimeString()} - ${warning.end.toLocaleTimeString()} ` +
+        `(predicted threshold in ${warning.minutesToThreshold.toFixed(1)} min, ${outcome})`;
+}
+
+// The projection sits on labels after the last sample, so take it off before adding one
+function clearTrendProjection() {
+    drowsinessChart.data.labels.splice(drowsinessChart.data.labels.length - projectionLength, projectionLength);
+    drowsinessChart.data.datasets[4].data = [];
+    projectionLength = 0;
+}
+
+// Dashed continuation of the smoothed score across the warning horizon
+function renderTrendProjection(trend) {
+    clearTrendProjection();
+    document.getElementById('fatigueTrend').textContent = 'Trend: ' + describeFatigueTrend(trend);
+    if (trend) {
+        const stepMs = getEarlyWarningHorizonMin() * 60000 / PROJECTION_POINTS;
+        const projection = drowsinessChart.data.labels.map(() => null);
+        projection[projection.length - 1] = trend.score;
+        for (let i = 1; i <= PROJECTION_POINTS; i++) {
+            drowsinessChart.data.labels.push(new Date(trend.time.valueOf() + i * stepMs).toLocaleTimeString());
+            projection.push(Math.max(0, Math.min(100, trend.score + trend.slopePerMin * i * stepMs / 60000)));
+        }
+        drowsinessChart.data.datasets[4].data = projection;
+        projectionLength = PROJECTION_POINTS;
+    }
+    drowsinessChart.update('none');
+}
+
+// ---------------------------
+// Breaks
+// ---------------------------
+
+function isOnBreak() {
+    const last = sessionBreaks[sessionBreaks.length - 1];
+    return !!last && !last.end;
+}
+
+function getBreakRule() {
+    return BREAK_RULES[document.getElementById('breakRule').value] || BREAK_RULES.none;
+}
+
+function getBreakAfterAlerts() {
+    return parseInt(document.getElementById('breakAfterAlerts').value);
+}
+
+// Breaks as the server records them; pause or resume when that changes
+function applySessionBreaks(breaks) {
+    const wasOnBreak = isOnBreak();
+    sessionBreaks = (breaks || []).map(b => ({
+        start: new Date(b.start),
+        end: b.end ? new Date(b.end) : null,
+        durationMs: b.durationMs,
+        recommendedBy: b.recommendedBy || null
+    }));
+    if (isOnBreak() && !wasOnBreak) pauseForBreak();
+    if (!isOnBreak() && wasOnBreak) console.log('Break ended, monitoring resumed');
+    updateSessionStatus(isSessionActive);
+    updateBreakStatus();
+}
+
+// The hub pauses the session for every dashboard following it
+function toggleBreak() {
     if (!isSessionActive) return;
+    const onBreak = isOnBreak();
+    if (currentSessionId && connection.state === signalR.HubConnectionState.Connected) {
+        const request = onBreak
+            ? connection.invoke('EndBreak', currentSessionId)
+            : connection.invoke('StartBreak', currentSessionId, getBreakRecommendedBy());
+        request
+            .then(session => {
+                if (session) applySessionBreaks(session.breaks);
+            })
+            .catch(err => console.error('Failed to change break state: ', err));
+        return;
+    }
 
     const now = new Date();
-    const nowMs = performance.now();
-
-    // Blink every 3 seconds (approx 20 BPM)
-    let eyeClosedThisTick = false;
-    if (nowMs - simulatorState.lastBlinkMs >= simulatorState.blinkIntervalMs) {
-        simulatorState.lastBlinkMs = nowMs;
-        eyeClosedThisTick = true; // represent a blink event at this tick
-    }
-
-    // Head movement: small noise + less frequent spikes > 30°
-    if (simulatorState.tiltCooldown === 0 && Math.random() < 0.08) {
-        // cooldown is in ticks; with 2s per tick this is ~4-6 seconds
-        simulatorState.tiltCooldown = 2 + Math.floor(Math.random() * 2); // 2-3 ticks
-        // create a spike on one axis
-        const axis = ['pitch','roll','yaw'][Math.floor(Math.random()*3)];
-        simulatorState.baseTilt[axis] = (Math.random() < 0.5 ? 1 : -1) * (30 + Math.random() * 20); // 30-50°
-    } else if (simulatorState.tiltCooldown > 0) {
-        simulatorState.tiltCooldown--;
-        if (simulatorState.tiltCooldown === 0) {
-            simulatorState.baseTilt = { pitch: 0, roll: 0, yaw: 0 };
+    if (onBreak) {
+        const current = sessionBreaks[sessionBreaks.length - 1];
+        applySessionBreaks([...sessionBreaks.slice(0, -1), { ...current, end: now, durationMs: now - current.start }]);
+    } else {
+        applySessionBreaks([...sessionBreaks, { start: now, end: null, durationMs: 0, recommendedBy: getBreakRecommendedBy() }]);
+    }
+}
+
+function getBreakRecommendedBy() {
+    const open = getOpenBreakRecommendation();
+    return open ? open.reasons.join('+') : null;
+}
+
+function getOpenBreakRecommendation() {
+    const last = breakRecommendations[breakRecommendations.length - 1];
+    return last && !last.takenAt ? last : null;
+}
+
+// Nothing alerts during a break; the open recommendation counts as taken
+function pauseForBreak() {
+    const current = sessionBreaks[sessionBreaks.length - 1];
+    const open = getOpenBreakRecommendation();
+    if (open) open.takenAt = current.start;
+    console.log('Break started at', current.start.toLocaleTimeString());
+
+    stopAlarm();
+    activeAlertEpisode = null;
+    alertConditionSince = null;
+    alertClearSince = null;
+    clearAlert();
+    endFatigueWarning();
+}
+
+// Driving time since the last break long enough for the regulation; shorter
+// breaks stop the clock without resetting it
+function getBreakStatus(now) {
+    const rule = getBreakRule();
+    let since = sessionStartTime;
+    let pausedMs = 0;
+    sessionBreaks.forEach(b => {
+        const end = b.end || now;
+        if (end - b.start >= rule.breakMs) {
+            since = end;
+            pausedMs = 0;
+        } else {
+            pausedMs += end - b.start;
+        }
+    });
+    const drivingMs = Math.max(0, now - since - pausedMs);
+    const last = sessionBreaks[sessionBreaks.length - 1];
+    const lastBreakEnd = last ? (last.end || now) : sessionStartTime;
+    const alertsSinceBreak = alertEpisodes.filter(episode => episode.start >= lastBreakEnd).length;
+
+    const reasons = [];
+    if (rule.driveMs !== null && drivingMs >= rule.driveMs) reasons.push('regulation');
+    if (alertsSinceBreak >= getBreakAfterAlerts()) reasons.push('alerts');
+    if (activeFatigueWarning) reasons.push('trend');
+    return {
+        drivingMs: drivingMs,
+        dueInMs: rule.driveMs === null ? null : rule.driveMs - drivingMs,
+        alertsSinceBreak: alertsSinceBreak,
+        reasons: reasons
+    };
+}
+
+// Runs every second: the driving clock moves without samples too
+function updateBreakStatus() {
+    const button = document.getElementById('breakBtn');
+    button.innerHTML = isOnBreak()
+        ? '<i class="fas fa-play me-2"></i>Resume Driving'
+        : '<i class="fas fa-coffee me-2"></i>Take Break';
+    if (!isSessionActive) return;
+
+    const status = getBreakStatus(new Date());
+    document.getElementById('drivingSinceBreak').textContent = formatDuration(status.drivingMs);
+    document.getElementById('nextBreakDue').textContent = status.dueInMs === null
+        ? '--'
+        : status.dueInMs <= 0 ? 'Now' : 'In ' + formatTimeLeft(status.dueInMs);
+    document.getElementById('breaksTaken').textContent = `${sessionBreaks.length} (${breakRecommendations.length} recommended)`;
+
+    const element = document.getElementById('breakRecommendation');
+    if (isOnBreak()) {
+        const current = sessionBreaks[sessionBreaks.length - 1];
+        const rule = getBreakRule();
+        const needed = rule.breakMs > 0 ? ` • the ${rule.label} asks for ${formatTimeLeft(rule.breakMs)}` : '';
+        element.className = 'alert alert-secondary py-2 mt-3 mb-0';
+        element.innerHTML = `<i class="fas fa-coffee me-2"></i>On break for ${formatTimeLeft(new Date() - current.start)}${needed}`;
+        return;
+    }
+    updateBreakRecommendation(status);
+}
+
+function updateBreakRecommendation(status) {
+    let open = getOpenBreakRecommendation();
+    if (!open && status.reasons.length > 0) {
+        open = { at: new Date(), reasons: status.reasons.slice(), takenAt: null };
+        breakRecommendations.push(open);
+        console.log('Break recommended:', describeBreakReasons(open.reasons));
+        playChime();
+    } else if (open) {
+        status.reasons.forEach(reason => {
+            if (!open.reasons.includes(reason)) open.reasons.push(reason);
+        });
+    }
+
+    const element = document.getElementById('breakRecommendation');
+    if (!open) {
+        element.className = 'alert d-none';
+        return;
+    }
+    element.className = 'alert alert-info py-2 mt-3 mb-0';
+    element.innerHTML = `<i class="fas fa-mug-hot me-2"></i>Break recommended: ${describeBreakReasons(open.reasons)}`;
+}
+
+function describeBreakReasons(reasons) {
+    return reasons.map(reason => BREAK_REASONS[reason] || reason).join(', ');
+}
+
+function describeSessionBreak(sessionBreak, index) {
+    const end = sessionBreak.end ? sessionBreak.end.toLocaleTimeString() : 'ongoing';
+    const prompt = sessionBreak.recommendedBy
+        ? `recommended: ${describeBreakReasons(sessionBreak.recommendedBy.split('+'))}`
+        : 'not prompted';
+    return `#${index + 1} ${sessionBreak.start.toLocaleTimeString()} - ${end} ` +
+        `(${formatDuration(sessionBreak.durationMs)}, ${prompt})`;
+}
+
+function describeBreakRecommendation(recommendation) {
+    const outcome = recommendation.takenAt
+        ? `taken ${formatMinutes((recommendation.takenAt - recommendation.at) / 60000)} later`
+        : 'not taken';
+    return `${recommendation.at.toLocaleTimeString()}: ${describeBreakReasons(recommendation.reasons)} (${outcome})`;
+}
+
+// ---------------------------
+// Calibration
+// ---------------------------
+
+// Used until the device has a calibration profile
+const DEFAULT_BLINK_CLOSURE_S = 0.15;
+const NEUTRAL_POSE = { pitch: 0, roll: 0, yaw: 0 };
+const CALIBRATION_MIN_SAMPLES = 5;
+
+// Profiles are kept per device, since each headset sits differently
+function loadCalibrationProfiles() {
+    try {
+        const raw = localStorage.getItem('calibrationProfiles');
+        const profiles = raw ? JSON.parse(raw) : {};
+        return profiles && typeof profiles === 'object' ? profiles : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+// The selected driver's baseline wins over the one recorded for the device
+function getCalibrationProfile() {
+    const driver = getSelectedDriver();
+    if (driver && driver.calibration) return driver.calibration;
+    return loadCalibrationProfiles()[selectedDeviceId] || null;
+}
+
+function saveCalibrationProfile(profile) {
+    const profiles = loadCalibrationProfiles();
+    if (profile) {
+        profiles[profile.deviceId] = profile;
+    } else {
+        delete profiles[selectedDeviceId];
+    }
+    try {
+        localStorage.setItem('calibrationProfiles', JSON.stringify(profiles));
+    } catch (_) {}
+}
+
+// What scoring and tilt checks measure against: the calibrated baseline and
+// zeroed head pose, or the normal blink rate setting and raw angles without them
+function getBaseline() {
+    const profile = getCalibrationProfile();
+    const zero = getHeadPoseZero();
+    return {
+        blinkRate: parseInt(document.getElementById('normalBlinkRate').value),
+        closureDuration: profile ? profile.closureDuration : DEFAULT_BLINK_CLOSURE_S,
+        neutralPose: zero ? zero.pose : NEUTRAL_POSE
+    };
+}
+
+function getTiltLimit() {
+    return parseInt(document.getElementById('tiltLimit').value);
+}
+
+// Largest angle on any axis away from the driver's neutral pose
+function getTiltDeviation(headMovement) {
+    const relative = getRelativeHeadMovement(headMovement);
+    return Math.max(Math.abs(relative.pitch), Math.abs(relative.roll), Math.abs(relative.yaw));
+}
+
+// Angles as the device reports them, minus the zeroed head pose
+function getRelativeHeadMovement(headMovement) {
+    const neutral = getBaseline().neutralPose;
+    return {
+        pitch: headMovement.pitch - neutral.pitch,
+        roll: headMovement.roll - neutral.roll,
+        yaw: headMovement.yaw - neutral.yaw
+    };
+}
+
+// The head pose zero is kept per device next to the calibration profiles.
+// Calibration sets it too; zeroing again only replaces the pose.
+function loadHeadPoseZeros() {
+    try {
+        const raw = localStorage.getItem('headPoseZeros');
+        const zeros = raw ? JSON.parse(raw) : {};
+        return zeros && typeof zeros === 'object' ? zeros : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function getHeadPoseZero() {
+    return loadHeadPoseZeros()[selectedDeviceId] || null;
+}
+
+function saveHeadPoseZero(pose) {
+    const zeros = loadHeadPoseZeros();
+    if (pose) {
+        zeros[selectedDeviceId] = { pose: pose, capturedAt: new Date().toISOString() };
+    } else {
+        delete zeros[selectedDeviceId];
+    }
+    try {
+        localStorage.setItem('headPoseZeros', JSON.stringify(zeros));
+    } catch (_) {}
+    renderHeadPoseZero();
+}
+
+// Take the orientation of the latest sample as looking straight ahead
+function zeroHeadPose() {
+    if (!lastRawHeadMovement) {
+        alert('No head pose received yet. Wait for the device to send data, then try again.');
+        return;
+    }
+    saveHeadPoseZero({ ...lastRawHeadMovement });
+    console.log('Head pose zeroed at', describePose(lastRawHeadMovement));
+}
+
+function resetHeadPoseZero() {
+    saveHeadPoseZero(null);
+}
+
+function renderHeadPoseZero() {
+    const zero = getHeadPoseZero();
+    document.getElementById('headPoseZeroInfo').textContent = zero
+        ? `Zero: ${formatPoseAngles(zero.pose)}`
+        : 'Zero: not set (raw angles)';
+    document.getElementById('resetHeadPoseBtn').disabled = !zero;
+}
+
+function formatPoseAngles(pose) {
+    return `${formatAngle(pose.pitch)} / ${formatAngle(pose.roll)} / ${formatAngle(pose.yaw)}`;
+}
+
+// Record the driver sitting alert for the configured time. Runs outside a
+// session on the live stream; the simulator stands in when no device sends.
+function startCalibration() {
+    if (isSessionActive || calibration || replay) return;
+    const durationMs = parseInt(document.getElementById('calibrationDuration').value) * 60000;
+    calibration = {
+        deviceId: selectedDeviceId,
+        startedAt: Date.now(),
+        durationMs: durationMs,
+        samples: [],
+        timerId: setInterval(updateCalibrationProgress, 1000)
+    };
+    startSimulatorUnlessDeviceStreams();
+    updateCalibrationControls();
+    updateCalibrationProgress();
+}
+
+function recordCalibrationSample(data) {
+    if (!data.headMovement || typeof data.eyeBlinkRate !== 'number') return;
+    calibration.samples.push(data);
+}
+
+function updateCalibrationProgress() {
+    if (!calibration) return;
+    const elapsed = Date.now() - calibration.startedAt;
+    const percent = Math.min(100, (elapsed / calibration.durationMs) * 100);
+    document.getElementById('calibrationBar').style.width = percent + '%';
+    document.getElementById('calibrationStatus').textContent =
+        `Sit upright and stay alert... ${formatDuration(Math.max(0, calibration.durationMs - elapsed))} left • ${calibration.samples.length} samples`;
+    if (elapsed >= calibration.durationMs) finishCalibration();
+}
+
+function finishCalibration() {
+    const samples = calibration.samples;
+    const deviceId = calibration.deviceId;
+    const durationMs = calibration.durationMs;
+    stopCalibration();
+
+    if (samples.length < CALIBRATION_MIN_SAMPLES) {
+        document.getElementById('calibrationStatus').textContent =
+            `Calibration failed: only ${samples.length} samples received. Check the device connection and try again.`;
+        return;
+    }
+
+    const profile = buildCalibrationProfile(samples, deviceId, durationMs);
+    saveCalibrationProfile(profile);
+    saveHeadPoseZero(profile.neutralPose);
+    const driver = getSelectedDriver();
+    if (driver) pushDriverProfile({ ...driver, calibration: profile });
+    applyCalibrationProfile();
+    document.getElementById('calibrationStatus').textContent = `Calibrated from ${samples.length} samples.`;
+    console.log('Calibration profile saved:', profile);
+}
+
+function cancelCalibration() {
+    if (!calibration) return;
+    stopCalibration();
+    document.getElementById('calibrationStatus').textContent = 'Calibration cancelled.';
+}
+
+function stopCalibration() {
+    clearInterval(calibration.timerId);
+    calibration = null;
+    if (!isSessionActive) stopSimulator();
+    document.getElementById('calibrationBar').style.width = '0%';
+    updateCalibrationControls();
+}
+
+// Medians keep a glance away or a single odd reading from skewing the
+// baseline. Closure is averaged over the blinks only.
+function buildCalibrationProfile(samples, deviceId, durationMs) {
+    const median = values => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+    const closures = samples.map(data => Number(data.eyeClosureDuration) || 0).filter(closure => closure > 0);
+    return {
+        deviceId: deviceId,
+        recordedAt: new Date().toISOString(),
+        durationMs: durationMs,
+        samples: samples.length,
+        blinkRate: median(samples.map(data => data.eyeBlinkRate)),
+        closureDuration: closures.length > 0
+            ? closures.reduce((sum, closure) => sum + closure, 0) / closures.length
+            : DEFAULT_BLINK_CLOSURE_S,
+        neutralPose: {
+            pitch: median(samples.map(data => data.headMovement.pitch)),
+            roll: median(samples.map(data => data.headMovement.roll)),
+            yaw: median(samples.map(data => data.headMovement.yaw))
+        }
+    };
+}
+
+// Show the selected device's profile and take its blink rate as the normal rate
+function applyCalibrationProfile() {
+    const profile = getCalibrationProfile();
+    if (profile) {
+        const blinkSlider = document.getElementById('normalBlinkRate');
+        blinkSlider.value = Math.round(Math.min(blinkSlider.max, Math.max(blinkSlider.min, profile.blinkRate)));
+        updateBlinkRate();
+    }
+    document.getElementById('calibrationProfile').innerHTML = profile
+        ? `<div class="d-flex justify-content-between"><span>Blink Rate:</span><strong>${profile.blinkRate.toFixed(1)} BPM</strong></div>
+           <div class="d-flex justify-content-between"><span>Blink Closure:</span><strong>${profile.closureDuration.toFixed(2)} s</strong></div>
+           <div class="d-flex justify-content-between"><span>Neutral Pose:</span><strong>${describePose(profile.neutralPose)}</strong></div>
+           <div class="d-flex justify-content-between"><span>Recorded:</span><strong>${new Date(profile.recordedAt).toLocaleString()}</strong></div>`
+        : '<span class="text-muted">Not calibrated: using the normal blink rate setting and an upright pose.</span>';
+    updateCalibrationControls();
+}
+
+function clearCalibrationProfile() {
+    const driver = getSelectedDriver();
+    if (driver && driver.calibration) {
+        pushDriverProfile({ ...driver, calibration: null });
+    } else {
+        saveCalibrationProfile(null);
+    }
+    applyCalibrationProfile();
+    document.getElementById('calibrationStatus').textContent = '';
+}
+
+function describePose(pose) {
+    return `pitch ${pose.pitch.toFixed(1)}°, roll ${pose.roll.toFixed(1)}°, yaw ${pose.yaw.toFixed(1)}°`;
+}
+
+function describeCalibration() {
+    const profile = getCalibrationProfile();
+    if (!profile) return 'Not calibrated';
+    return `${profile.blinkRate.toFixed(1)} BPM blink rate, ${profile.closureDuration.toFixed(2)} s blink closure, ` +
+        `neutral ${describePose(profile.neutralPose)} (recorded ${new Date(profile.recordedAt).toLocaleString()})`;
+}
+
+function describeHeadPoseZero() {
+    const zero = getHeadPoseZero();
+    if (!zero) return 'Not set, angles are raw';
+    return `${describePose(zero.pose)} (set ${new Date(zero.capturedAt).toLocaleString()})`;
+}
+
+function updateCalibrationControls() {
+    const calibrating = calibration !== null;
+    document.getElementById('startCalibrationBtn').disabled = calibrating || isSessionActive || replay !== null;
+    document.getElementById('cancelCalibrationBtn').disabled = !calibrating;
+    document.getElementById('clearCalibrationBtn').disabled = calibrating || !getCalibrationProfile();
+    document.getElementById('calibrationDuration').disabled = calibrating;
+}
+
+// Initialize dashboard when page loads
+document.addEventListener('DOMContentLoaded', function () {
+    initializeDashboard();
+    initializeChart();
+    initializeDeviceHealthChart();
+    setupEventListeners();
+    applySettings((readLocalSettings() || {}).values);
+    applyCalibrationProfile();
+    renderHeadPoseZero();
+    loadSettings()
+        .then(() => loadDriverProfiles()) // a selected driver's settings go on top
+        .then(() => loadRecentSessions())
+        .then(renderRecentSessions);
+});
+
+// Initialize dashboard components
+function initializeDashboard() {
+    console.log('Dashboard initialized - waiting for ESP32 connection...');
+    evaluateConnection();
+    setInterval(evaluateConnection, 1000);
+    setInterval(updateBreakStatus, 1000);
+    updateSessionStatus(false);
+}
+
+// Initialize Chart.js for real-time monitoring
+function initializeChart() {
+    const ctx = document.getElementById('drowsinessChart').getContext('2d');
+
+    drowsinessChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: [{
+                label: 'Device Drowsiness (%)',
+                data: [],
+                borderColor: 'rgb(255, 193, 7)',
+                backgroundColor: 'rgba(255, 193, 7, 0.1)',
+                tension: 0.1
+            }, {
+                label: 'Blink Rate (BPM)',
+                data: [],
+                borderColor: 'rgb(13, 110, 253)',
+                backgroundColor: 'rgba(13, 110, 253, 0.1)',
+                tension: 0.1,
+                yAxisID: 'y1'
+            }, {
+                label: 'PERCLOS (%)',
+                data: [],
+                borderColor: 'rgb(111, 66, 193)',
+                backgroundColor: 'rgba(111, 66, 193, 0.1)',
+                tension: 0.1
+            }, {
+                label: 'Dashboard Score (%)',
+                data: [],
+                borderColor: 'rgb(220, 53, 69)',
+                backgroundColor: 'rgba(220, 53, 69, 0.1)',
+                tension: 0.1
+            }, {
+                label: 'Projected Score (%)',
+                data: [],
+                borderColor: 'rgb(220, 53, 69)',
+                borderDash: [6, 4],
+                pointRadius: 0,
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            onClick: seekReplayToChartPoint,
+            scales: {
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    min: 0,
+                    max: 100
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    min: 0,
+                    max: 30,
+                    grid: {
+                        drawOnChartArea: false,
+                    },
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true
+                }
+            }
         }
-    }
-
-    const headMovement = {
-        pitch: simulatorState.baseTilt.pitch + (Math.random() - 0.5) * 4,
-        roll: simulatorState.baseTilt.roll + (Math.random() - 0.5) * 4,
-        yaw: simulatorState.baseTilt.yaw + (Math.random() - 0.5) * 4
-    };
-
-    const tiltExceeded = Math.max(
-        Math.abs(headMovement.pitch),
-        Math.abs(headMovement.roll),
-        Math.abs(headMovement.yaw)
-    ) > 30;
-
-    // Eye blink rate: baseline ~17 BPM, spike to ~20 BPM when blink occurs
-    const baselineBlink = 15 + Math.random() * 6; // 15-21 BPM
-    const eyeBlinkRate = eyeClosedThisTick ? 20 : baselineBlink;
-
-    // Drowsiness heuristic: base 35-50, increase on blink event and tilt exceedance
-    let drowsinessLevel = 35 + Math.random() * 15; // 35-50
-    if (eyeClosedThisTick) drowsinessLevel += 20 + Math.random() * 10; // +20-30
-    if (tiltExceeded) drowsinessLevel += 20 + Math.random() * 15; // +20-35
-    drowsinessLevel = Math.max(0, Math.min(100, drowsinessLevel));
-
-    // Battery level decay
-    simulatorState.batteryLevel = Math.max(5, simulatorState.batteryLevel - (0.15 + Math.random() * 0.1));
-
-    // Determine alert based on current threshold
-    const threshold = parseInt(document.getElementById('drowsinessThreshold').value);
-    const alertTriggered = drowsinessLevel >= threshold || tiltExceeded;
-
-    const simulated = {
-        timestamp: now,
-        eyeBlinkRate: eyeBlinkRate,
-        eyeClosureDuration: eyeClosedThisTick ? 0.2 : 0.0, // approx seconds closed within this tick
-        headMovement: headMovement,
-        drowsinessLevel: drowsinessLevel,
-        alertTriggered: alertTriggered,
-        batteryLevel: simulatorState.batteryLevel
-    };
-
-    processSensorData(simulated);
-}
-
-// Initialize dashboard when page loads
-document.addEventListener('DOMContentLoaded', function () {
-    initializeDashboard();
-    initializeChart();
-    setupEventListeners();
-    loadRecentSessions();
-    renderRecentSessions();
-});
-
-// Initialize dashboard components
-function initializeDashboard() {
-    console.log('Dashboard initialized - waiting for ESP32 connection...');
-    updateConnectionStatus(false);
-    updateSessionStatus(false);
+    });
 }
 
-// Initialize Chart.js for real-time monitoring
-function initializeChart() {
-    const ctx = document.getElementById('drowsinessChart').getContext('2d');
+// Signal strength, packet loss and battery over the session
+function initializeDeviceHealthChart() {
+    const ctx = document.getElementById('deviceHealthChart').getContext('2d');
 
-    drowsinessChart = new Chart(ctx, {
+    deviceHealthChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels: [],
             datasets: [{
-                label: 'Drowsiness Level (%)',
+                label: 'RSSI (dBm)',
                 data: [],
-                borderColor: 'rgb(255, 193, 7)',
-                backgroundColor: 'rgba(255, 193, 7, 0.1)',
+                borderColor: 'rgb(13, 202, 240)',
+                backgroundColor: 'rgba(13, 202, 240, 0.1)',
                 tension: 0.1
             }, {
-                label: 'Blink Rate (BPM)',
+                label: 'Packet Loss (%)',
                 data: [],
-                borderColor: 'rgb(13, 110, 253)',
-                backgroundColor: 'rgba(13, 110, 253, 0.1)',
+                borderColor: 'rgb(220, 53, 69)',
+                backgroundColor: 'rgba(220, 53, 69, 0.1)',
+                tension: 0.1,
+                yAxisID: 'y1'
+            }, {
+                label: 'Battery (%)',
+                data: [],
+                borderColor: 'rgb(25, 135, 84)',
+                backgroundColor: 'rgba(25, 135, 84, 0.1)',
                 tension: 0.1,
                 yAxisID: 'y1'
             }]
@@ -251,15 +2660,15 @@ function initializeChart() {
                     type: 'linear',
                     display: true,
                     position: 'left',
-                    min: 0,
-                    max: 100
+                    min: -100,
+                    max: -30
                 },
                 y1: {
                     type: 'linear',
                     display: true,
                     position: 'right',
                     min: 0,
-                    max: 30,
+                    max: 100,
                     grid: {
                         drawOnChartArea: false,
                     },
@@ -279,67 +2688,273 @@ function setupEventListeners() {
     // Session control buttons
     document.getElementById('startSessionBtn').addEventListener('click', startSession);
     document.getElementById('stopSessionBtn').addEventListener('click', stopSession);
+    document.getElementById('breakBtn').addEventListener('click', toggleBreak);
     document.getElementById('exportBtn').addEventListener('click', exportSessionData);
     document.getElementById('previewBtn').addEventListener('click', previewSessionData);
 
     // Settings sliders
     document.getElementById('drowsinessThreshold').addEventListener('input', updateThreshold);
     document.getElementById('normalBlinkRate').addEventListener('input', updateBlinkRate);
+    document.getElementById('perclosWindow').addEventListener('input', updatePerclosSettings);
+    document.getElementById('perclosThreshold').addEventListener('input', updatePerclosSettings);
+    document.getElementById('microsleepMinDuration').addEventListener('input', updateMicrosleepSettings);
+    document.getElementById('microsleepPitchDrop').addEventListener('input', updateMicrosleepSettings);
+    document.getElementById('alertOnset').addEventListener('input', updateAlertEpisodeSettings);
+    document.getElementById('alertRelease').addEventListener('input', updateAlertEpisodeSettings);
+    document.getElementById('alertMinGap').addEventListener('input', updateAlertEpisodeSettings);
+    document.getElementById('alarmToneAfter').addEventListener('input', updateAlarmSettings);
+    document.getElementById('alarmOverlayAfter').addEventListener('input', updateAlarmSettings);
+    document.getElementById('plannedTripLength').addEventListener('input', updateBatterySettings);
+    document.getElementById('tiltLimit').addEventListener('input', updateTiltLimit);
+    document.getElementById('calibrationDuration').addEventListener('input', updateCalibrationDuration);
+    document.getElementById('scoreDisagreementMargin').addEventListener('input', updateScoringSettings);
+    document.getElementById('earlyWarningHorizon').addEventListener('input', updateEarlyWarningSettings);
+    document.getElementById('breakAfterAlerts').addEventListener('input', updateBreakSettings);
+    document.getElementById('breakRule').addEventListener('change', updateBreakSettings);
+
+    // Dashboard scoring
+    renderScoringModels();
+    updateScoringSettings();
+    document.getElementById('scoringModel').addEventListener('change', updateScoringSettings);
+
+    // Simulator
+    initializeSimulatorPanel();
+    document.getElementById('simulatorScenario').addEventListener('change', updateSimulatorSettings);
+    document.getElementById('simulatorSeed').addEventListener('change', updateSimulatorSettings);
+    document.getElementById('simulatorSampleRate').addEventListener('change', updateSimulatorSettings);
+    document.getElementById('simulatorParameters').addEventListener('input', updateSimulatorParameter);
+    document.getElementById('simulatorParameters').addEventListener('change', updateSimulatorParameter);
+    document.getElementById('reuseSimulatorSeedBtn').addEventListener('click', reuseSimulatorSeed);
+
+    // Calibration
+    document.getElementById('startCalibrationBtn').addEventListener('click', startCalibration);
+    document.getElementById('cancelCalibrationBtn').addEventListener('click', cancelCalibration);
+    document.getElementById('clearCalibrationBtn').addEventListener('click', clearCalibrationProfile);
+
+    // Driver profiles
+    document.getElementById('driverSelect').addEventListener('change', event => selectDriver(event.target.value));
+    document.getElementById('newDriverBtn').addEventListener('click', createDriverProfile);
+    document.getElementById('saveDriverBtn').addEventListener('click', saveDriverSettings);
+    document.getElementById('deleteDriverBtn').addEventListener('click', deleteDriverProfile);
+    document.getElementById('angleUnit').addEventListener('change', renderHeadPoseZero);
+    document.getElementById('sessionDriverFilter').addEventListener('change', () => loadRecentSessions().then(renderRecentSessions));
+    document.getElementById('exportHistoryBtn').addEventListener('click', exportSessionHistory);
+
+    // Session replay
+    document.getElementById('sessionHistory').addEventListener('click', event => {
+        const button = event.target.closest('[data-replay-session]');
+        if (button) replayStoredSession(button.dataset.replaySession);
+    });
+    document.getElementById('replayPlayBtn').addEventListener('click', toggleReplay);
+    document.getElementById('replayPrevAlertBtn').addEventListener('click', () => seekReplayAlert(-1));
+    document.getElementById('replayNextAlertBtn').addEventListener('click', () => seekReplayAlert(1));
+    document.getElementById('replayScrubber').addEventListener('input', updateReplayScrubber);
+    document.getElementById('replayScrubber').addEventListener('change', updateReplayScrubber);
+    document.getElementById('replaySpeed').addEventListener('change', updateReplaySpeed);
+    document.getElementById('closeReplayBtn').addEventListener('click', closeReplay);
+    document.getElementById('importSessionBtn').addEventListener('click', () => document.getElementById('importSessionFile').click());
+    document.getElementById('importSessionFile').addEventListener('change', importSessionFile);
+
+    // Head pose zero
+    document.getElementById('zeroHeadPoseBtn').addEventListener('click', zeroHeadPose);
+    document.getElementById('resetHeadPoseBtn').addEventListener('click', resetHeadPoseZero);
+    document.getElementById('watchdogStaleAfter').addEventListener('input', updateWatchdogSettings);
+    document.getElementById('watchdogLostAfter').addEventListener('input', updateWatchdogSettings);
+
+    // Alarm acknowledgement
+    document.getElementById('acknowledgeAlarmBtn').addEventListener('click', () => acknowledgeAlarm('overlay'));
+    document.addEventListener('keydown', handleAcknowledgeKey);
     
     // Export format change
     document.getElementById('exportFormat').addEventListener('change', updateExportButtons);
+
+    // Persist and share every settings panel change
+    document.getElementById('settingsPanel').addEventListener('change', handleSettingsChange);
+
+    // Device picker and configuration
+    document.getElementById('deviceSelect').addEventListener('change', event => selectDevice(event.target.value));
+    document.getElementById('pushDeviceConfigBtn').addEventListener('click', pushDeviceConfig);
+    renderDevicePicker([]);
 }
 
-// Start monitoring session
+// Start monitoring session: ask the hub so every open dashboard joins it,
+// or run a local-only session when the hub is unreachable
 function startSession() {
+    // Unlock audio while we still have the click gesture
+    getAudioContext();
+    if (!confirmBatteryForTrip()) return;
+    simulatorRequested = true;
+
+    if (connection.state !== signalR.HubConnectionState.Connected) {
+        beginSession(null);
+        return;
+    }
+    connection.invoke('StartSession', selectedDeviceId, selectedDriverId || null)
+        .catch(err => {
+            console.error('Failed to start server session: ', err);
+            beginSession(null);
+        });
+}
+
+// Reset the dashboard for a session announced by the hub (null for local-only)
+function beginSession(session) {
+    if (isSessionActive) {
+        if (session && session.id === currentSessionId) {
+            applySessionBreaks(session.breaks); // a break started or ended
+            return;
+        }
+        endSession();
+    }
+
+    closeReplay();
+    cancelCalibration(); // a session started elsewhere takes over the stream
+
+    // A dashboard joining a session follows the driver it was started for
+    if (session && session.driverId && session.driverId !== selectedDriverId &&
+        driverProfiles.some(profile => profile.id === session.driverId)) {
+        selectDriver(session.driverId);
+    }
+    const driver = getSelectedDriver();
+    if (session) {
+        sessionDriver = session.driverId
+            ? { id: session.driverId, name: session.driverName || (driver && driver.id === session.driverId ? driver.name : session.driverId) }
+            : null;
+    } else {
+        sessionDriver = driver ? { id: driver.id, name: driver.name } : null;
+    }
+
     isSessionActive = true;
-    sessionStartTime = new Date();
-    sessionData = [];
-    totalAlerts = 0;
+    currentSessionId = session ? session.id : null;
+    sessionStartTime = session ? new Date(session.start) : new Date();
+    resetSessionView();
 
     updateSessionStatus(true);
     updateSessionControls(true);
 
-    console.log('Session started at:', sessionStartTime);
+    console.log('Session started at:', sessionStartTime, currentSessionId ? `(server session ${currentSessionId})` : '(local only)');
 
-    // For demo: mark connection as available and start simulator
-    updateConnectionStatus(true);
-    startSimulator();
+    // For demo: the dashboard that started the session runs the simulator, unless the headset streams
+    if (simulatorRequested) {
+        simulatorRequested = false;
+        startSimulatorUnlessDeviceStreams();
+    }
+
+    if (session) applySessionBreaks(session.breaks);
+
+    if (session && session.points > 0) backfillSession(session.id);
+}
+
+// Clear every reading, chart and statistic for a new session or a replay
+function resetSessionView() {
+    sessionData = [];
+    linkQualityTotals = createLinkQualityTotals();
+    microsleepEvents = [];
+    activeMicrosleep = null;
+    connectivityGaps = [];
+    activeConnectivityGap = null;
+    batteryWarnings = [];
+    fatigueWarnings = [];
+    endFatigueWarning();
+    resetAlertEpisodes();
+    sessionBreaks = [];
+    breakRecommendations = [];
 
     resetChart();
     document.getElementById('blinkRate').textContent = '-- BPM';
     document.getElementById('blinkRateBar').style.width = '0%';
     document.getElementById('drowsinessLevel').textContent = '--%';
     document.getElementById('drowsinessBar').style.width = '0%';
+    document.getElementById('deviceDrowsinessLevel').textContent = 'Device: --%';
+    document.getElementById('scoreDisagreement').classList.add('d-none');
+    document.getElementById('perclosValue').textContent = '--%';
+    document.getElementById('perclosBar').style.width = '0%';
     document.getElementById('pitchValue').textContent = '--°';
     document.getElementById('rollValue').textContent = '--°';
     document.getElementById('yawValue').textContent = '--°';
+    document.getElementById('rawHeadMovement').textContent = 'Raw: --';
     document.getElementById('batteryLevel').textContent = '--%';
     document.getElementById('batteryBar').style.width = '0%';
+    clearBatteryWarning();
+    document.getElementById('signalStrength').textContent = '-- dBm';
+    document.getElementById('signalBar').style.width = '0%';
+    document.getElementById('signalDetails').textContent = '';
     document.getElementById('lastDataTime').textContent = 'Never';
     document.getElementById('totalAlerts').textContent = '0';
     document.getElementById('sessionDuration').textContent = '00:00:00';
     document.getElementById('avgBlinkRate').textContent = '-- BPM';
     document.getElementById('peakDrowsiness').textContent = '--%';
+    document.getElementById('reactionTimeMean').textContent = '--';
+    document.getElementById('reactionTimeP95').textContent = '--';
+    document.getElementById('reactionTimeWorst').textContent = '--';
+    document.getElementById('scoreDisagreements').textContent = '0';
+    document.getElementById('fatigueTrend').textContent = 'Trend: collecting data';
+    document.getElementById('drivingSinceBreak').textContent = '00:00:00';
+    document.getElementById('nextBreakDue').textContent = '--';
+    document.getElementById('breaksTaken').textContent = '0';
+    updateConnectivityGapStats();
+    renderMicrosleepTimeline();
     clearAlert();
     updateExportButtons();
 }
 
-// Stop monitoring session
+// Stop monitoring session: the hub closes it with this dashboard's summary
+// and tells every dashboard to end it
 function stopSession() {
+    if (!currentSessionId || connection.state !== signalR.HubConnectionState.Connected) {
+        endSession();
+        return;
+    }
+    closeConnectivityGap(new Date(), false);
+    const summary = buildSessionSummary();
+    connection.invoke('StopSession', currentSessionId, {
+        totalAlerts: totalAlerts,
+        reactionTime: summary ? summary.reactionTime : null,
+        connectivityGaps: connectivityGaps,
+        breakRecommendations: breakRecommendations
+    })
+        .then(stopped => {
+            // Unknown to the server, so no SessionStopped will follow
+            if (!stopped) endSession();
+        })
+        .catch(err => {
+            console.error('Failed to stop server session: ', err);
+            endSession();
+        });
+}
+
+function endSession() {
+    leaveSession();
+
+    console.log('Session ended. Alert episodes:', totalAlerts);
+    console.log('Session data points:', sessionData.length);
+
+    saveRecentSession();
+    renderRecentSessions();
+    if (currentSessionId) {
+        currentSessionId = null;
+        loadRecentSessions().then(renderRecentSessions);
+    }
+}
+
+// Stop following the session locally without ending it anywhere else
+function leaveSession() {
     isSessionActive = false;
+    activeAlertEpisode = null;
+    closeConnectivityGap(new Date(), false);
+    stopAlarm();
+    endFatigueWarning();
+    if (isOnBreak()) {
+        const current = sessionBreaks[sessionBreaks.length - 1];
+        current.end = new Date();
+        current.durationMs = current.end - current.start;
+    }
+    document.getElementById('breakRecommendation').className = 'alert d-none';
 
     updateSessionStatus(false);
     updateSessionControls(false);
 
-    console.log('Session ended. Total alerts:', totalAlerts);
-    console.log('Session data points:', sessionData.length);
-
     // Stop simulator when session stops
     stopSimulator();
-
-    saveRecentSession();
-    renderRecentSessions();
 }
 
 // Export session data
@@ -361,6 +2976,12 @@ function exportSessionData() {
         case 'txt':
             generateTextSummary();
             break;
+        case 'json':
+            generateJSONExport();
+            break;
+        case 'ndjson':
+            generateNDJSONExport();
+            break;
     }
 }
 
@@ -381,8 +3002,14 @@ function previewSessionData() {
         case 'txt':
             previewContent = generateTextContent();
             break;
+        case 'json':
+            previewContent = generateJSONContent();
+            break;
+        case 'ndjson':
+            previewContent = generateNDJSONContent();
+            break;
         case 'pdf':
-            alert('PDF preview is not available. Please use CSV or Text format for preview.');
+            alert('PDF preview is not available. Please use CSV, Text or JSON format for preview.');
             return;
     }
 
@@ -399,22 +3026,21 @@ function updateExportButtons() {
     document.getElementById('previewBtn').disabled = !hasData || format === 'pdf';
 }
 
-// Update connection status indicator
-function updateConnectionStatus(isConnected) {
+// Update connection status indicator, see CONNECTION_BADGES for the states
+function updateConnectionStatus(state) {
     const statusElement = document.getElementById('connectionStatus');
-    if (isConnected) {
-        statusElement.className = 'badge bg-success';
-        statusElement.textContent = '🟢 ESP32 Connected';
-    } else {
-        statusElement.className = 'badge bg-danger';
-        statusElement.textContent = '🔴 ESP32 Disconnected';
-    }
+    const badge = CONNECTION_BADGES[state];
+    statusElement.className = badge.className;
+    statusElement.textContent = badge.text;
 }
 
 // Update session status indicator
 function updateSessionStatus(isActive) {
     const statusElement = document.getElementById('sessionStatus');
-    if (isActive) {
+    if (isActive && isOnBreak()) {
+        statusElement.className = 'badge bg-warning text-dark';
+        statusElement.textContent = 'Break in Progress';
+    } else if (isActive) {
         statusElement.className = 'badge bg-success';
         statusElement.textContent = 'Session Active';
     } else {
@@ -427,45 +3053,182 @@ function updateSessionStatus(isActive) {
 function updateSessionControls(isActive) {
     document.getElementById('startSessionBtn').disabled = isActive;
     document.getElementById('stopSessionBtn').disabled = !isActive;
+    document.getElementById('breakBtn').disabled = !isActive;
     updateExportButtons();
+    updateCalibrationControls();
+    updateDriverControls();
 }
 
 // Update drowsiness threshold setting
 function updateThreshold() {
     const value = document.getElementById('drowsinessThreshold').value;
     document.getElementById('thresholdValue').textContent = value + '%';
+    document.getElementById('drowsinessAlertAt').textContent = `Alert at ${value}%`;
+}
+
+// Update break recommendation settings
+function updateBreakSettings() {
+    document.getElementById('breakAfterAlertsValue').textContent = `${getBreakAfterAlerts()} episodes`;
+    updateBreakStatus();
+}
+
+// Update early warning setting
+function updateEarlyWarningSettings() {
+    document.getElementById('earlyWarningHorizonValue').textContent = getEarlyWarningHorizonMin() + ' min';
+}
+
+// Update dashboard scoring settings
+function updateScoringSettings() {
+    document.getElementById('scoreDisagreementMarginValue').textContent = getDisagreementMargin() + ' points';
+    document.getElementById('scoringModelDescription').textContent =
+        DrowsinessScoring.getModel(document.getElementById('scoringModel').value).description;
 }
 
 // Update normal blink rate setting
 function updateBlinkRate() {
     const value = document.getElementById('normalBlinkRate').value;
     document.getElementById('normalBlinkValue').textContent = value + ' BPM';
+    document.getElementById('blinkRateNormal').textContent = `Normal: ${value} BPM`;
+}
+
+// Update head tilt limit setting
+function updateTiltLimit() {
+    document.getElementById('tiltLimitValue').textContent = getTiltLimit() + '°';
+}
+
+// Update calibration length setting
+function updateCalibrationDuration() {
+    document.getElementById('calibrationDurationValue').textContent = document.getElementById('calibrationDuration').value + ' min';
+}
+
+// Update PERCLOS window and alert level settings
+function updatePerclosSettings() {
+    const windowSeconds = document.getElementById('perclosWindow').value;
+    const threshold = document.getElementById('perclosThreshold').value;
+    document.getElementById('perclosWindowValue').textContent = windowSeconds + ' s';
+    document.getElementById('perclosThresholdValue').textContent = threshold + '%';
+    document.getElementById('perclosInfo').textContent = `${windowSeconds} s window • Alert at ${threshold}%`;
+}
+
+// Update microsleep detection settings
+function updateMicrosleepSettings() {
+    const minDuration = parseFloat(document.getElementById('microsleepMinDuration').value);
+    const pitchDrop = document.getElementById('microsleepPitchDrop').value;
+    document.getElementById('microsleepMinDurationValue').textContent = minDuration.toFixed(1) + ' s';
+    document.getElementById('microsleepPitchDropValue').textContent = pitchDrop + '°';
+}
+
+// Update alert episode hysteresis settings
+function updateAlertEpisodeSettings() {
+    const settings = getAlertEpisodeSettings();
+    document.getElementById('alertOnsetValue').textContent = (settings.onsetMs / 1000) + ' s';
+    document.getElementById('alertReleaseValue').textContent = (settings.releaseMs / 1000) + ' s';
+    document.getElementById('alertMinGapValue').textContent = (settings.minGapMs / 1000) + ' s';
+}
+
+// Update planned trip length
+function updateBatterySettings() {
+    const plannedMs = getPlannedTripMs();
+    document.getElementById('plannedTripLengthValue').textContent = plannedMs === 0 ? 'Off' : formatTimeLeft(plannedMs);
+}
+
+// Update alarm escalation settings
+function updateAlarmSettings() {
+    const settings = getAlarmSettings();
+    document.getElementById('alarmToneAfterValue').textContent = (settings.toneAfterMs / 1000) + ' s';
+    document.getElementById('alarmOverlayAfterValue').textContent = (settings.overlayAfterMs / 1000) + ' s';
+}
+
+// Update connection watchdog timeouts
+function updateWatchdogSettings() {
+    const settings = getWatchdogSettings();
+    document.getElementById('watchdogStaleAfterValue').textContent = (settings.staleAfterMs / 1000) + ' s';
+    document.getElementById('watchdogLostAfterValue').textContent = (settings.lostAfterMs / 1000) + ' s';
+    evaluateConnection();
+}
+
+// What is wrong with a sample, or null when it can be processed; the same rules
+// hold for live, stored and imported samples
+function getSensorDataError(data) {
+    if (!data) return 'no data';
+    if (!data.timestamp || typeof data.timestamp.getTime !== 'function' || isNaN(data.timestamp.getTime())) return 'invalid timestamp';
+    if (!Number.isFinite(data.eyeBlinkRate)) return 'invalid blink rate';
+    if (!Number.isFinite(data.drowsinessLevel)) return 'invalid drowsiness level';
+    if (!data.headMovement || !['pitch', 'roll', 'yaw'].every(axis => Number.isFinite(data.headMovement[axis]))) {
+        return 'invalid head movement';
+    }
+    if (!Number.isFinite(data.batteryLevel)) return 'invalid battery level';
+    return null;
 }
 
 // Process sensor data from ESP32
 function processSensorData(data) {
-    // Validate data
-    if (!data || !data.headMovement || typeof data.eyeBlinkRate !== 'number' || typeof data.drowsinessLevel !== 'number') {
-        console.error('Invalid sensor data:', data);
+    const error = getSensorDataError(data);
+    if (error) {
+        console.error(`Invalid sensor data (${error}):`, data);
         return;
     }
 
     // Store data for session
     sessionData.push(data);
 
+    // Rolling PERCLOS over the configured window, stored with the sample
+    data.perclos = computePerclos(sessionData, data.timestamp, getPerclosWindowMs());
+    data.packetLoss = computePacketLoss(data, sessionData[sessionData.length - 2]);
+    recordLinkQuality(data, sessionData[sessionData.length - 2]);
+    // Angles relative to the head pose zero in effect now; headMovement stays raw
+    data.relativeHeadMovement = getRelativeHeadMovement(data.headMovement);
+    data.tiltDeviation = getTiltDeviation(data.headMovement);
+    scoreSample(data, sessionData);
+
+    // Track microsleep episodes across samples
+    detectMicrosleep(data, sessionData[sessionData.length - 2]);
+    const trend = getFatigueTrend();
+    data.minutesToThreshold = trend ? trend.minutesToThreshold : null;
+    recordBatterySample(data); // also while rendering is deferred, for the battery forecast
+
+    // Check for alerts
+    checkForAlerts(data);
+    updateFatigueWarning(data, trend);
+    checkBatteryWarnings(data);
+
+    if (deferRendering) return; // renderSessionView draws the outcome once
+
+    renderMicrosleepTimeline();
+
     // Update dashboard displays
     updateDashboardDisplays(data);
 
-    // Update chart
+    // Update charts
     updateChart(data);
-
-    // Check for alerts
-    checkForAlerts(data);
+    updateDeviceHealthChart(data);
+    renderTrendProjection(trend);
 
     // Update session statistics
     updateSessionStatistics();
 }
 
+// Draw the displays for the samples processed so far, after catching up with rendering deferred
+function renderSessionView() {
+    renderMicrosleepTimeline();
+    resetChart();
+    sessionData.slice(-60).forEach(updateDeviceHealthChart);
+    sessionData.slice(-20).forEach(updateChart);
+    const last = sessionData[sessionData.length - 1];
+    if (!last) return;
+    updateDashboardDisplays(last);
+    renderTrendProjection(getFatigueTrend());
+    updateSessionStatistics();
+}
+
+// The session's samples from `since` on, found from the end so the cost stays
+// with the window rather than the session's length
+function getRecentSamples(since) {
+    let first = sessionData.length;
+    while (first > 0 && sessionData[first - 1].timestamp >= since) first--;
+    return sessionData.slice(first);
+}
+
 // Update dashboard display elements
 function updateDashboardDisplays(data) {
     // Update blink rate
@@ -473,18 +3236,46 @@ function updateDashboardDisplays(data) {
     const blinkRatePercent = Math.min((data.eyeBlinkRate / 30) * 100, 100);
     document.getElementById('blinkRateBar').style.width = blinkRatePercent + '%';
 
-    // Update drowsiness level
-    document.getElementById('drowsinessLevel').textContent = data.drowsinessLevel.toFixed(1) + '%';
-    document.getElementById('drowsinessBar').style.width = data.drowsinessLevel + '%';
+    // Update drowsiness level: the dashboard's score, with the device's own beside it
+    document.getElementById('drowsinessLevel').textContent = data.dashboardScore.toFixed(1) + '%';
+    document.getElementById('drowsinessBar').style.width = data.dashboardScore + '%';
+    document.getElementById('deviceDrowsinessLevel').textContent =
+        `Device: ${data.drowsinessLevel.toFixed(1)}%${data.alertTriggered ? ' (alerting)' : ''}`;
+    document.getElementById('drowsinessLevel').title = describeScoreComponents(data.scoreComponents);
+    const disagreement = document.getElementById('scoreDisagreement');
+    disagreement.classList.toggle('d-none', !data.scoreDisagreement);
+    disagreement.textContent = data.scoreDisagreement ? 'Disagrees: ' + data.scoreDisagreement : '';
+
+    // Update PERCLOS
+    document.getElementById('perclosValue').textContent = formatPerclos(data.perclos, 1) + '%';
+    document.getElementById('perclosBar').style.width = (data.perclos || 0) + '%';
 
     // Update head movement
-    document.getElementById('pitchValue').textContent = data.headMovement.pitch.toFixed(1) + '°';
-    document.getElementById('rollValue').textContent = data.headMovement.roll.toFixed(1) + '°';
-    document.getElementById('yawValue').textContent = data.headMovement.yaw.toFixed(1) + '°';
+    const pose = data.relativeHeadMovement || getRelativeHeadMovement(data.headMovement);
+    document.getElementById('pitchValue').textContent = formatAngle(pose.pitch);
+    document.getElementById('rollValue').textContent = formatAngle(pose.roll);
+    document.getElementById('yawValue').textContent = formatAngle(pose.yaw);
+    document.getElementById('rawHeadMovement').textContent = `Raw: ${formatPoseAngles(data.headMovement)}`;
+    lastRawHeadMovement = data.headMovement;
 
     // Update device status
     document.getElementById('batteryLevel').textContent = data.batteryLevel.toFixed(0) + '%';
     document.getElementById('batteryBar').style.width = data.batteryLevel + '%';
+    recordBatterySample(data);
+    document.getElementById('batteryForecast').textContent = describeBatteryForecast(getBatteryForecast());
+
+    // Update signal strength (older firmware does not report it)
+    if (data.rssi !== null && data.rssi !== undefined) {
+        const signal = getSignalQuality(data.rssi);
+        document.getElementById('signalStrength').textContent = data.rssi + ' dBm';
+        document.getElementById('signalBar').className = 'progress-bar ' + signal.className;
+        document.getElementById('signalBar').style.width = signal.percent + '%';
+    }
+    const details = [];
+    if (data.wifiChannel) details.push('Channel ' + data.wifiChannel);
+    const linkQuality = isSessionActive ? getLinkQualityStats() : null;
+    if (linkQuality && linkQuality.packetLoss !== null) details.push(linkQuality.packetLoss.toFixed(1) + '% packet loss');
+    document.getElementById('signalDetails').textContent = details.join(' • ');
 
     // Update last data time
     document.getElementById('lastDataTime').textContent = data.timestamp.toLocaleTimeString();
@@ -493,42 +3284,332 @@ function updateDashboardDisplays(data) {
 // Update real-time chart
 function updateChart(data) {
     const timeLabel = data.timestamp.toLocaleTimeString();
+    clearTrendProjection();
 
     // Add new data point
     drowsinessChart.data.labels.push(timeLabel);
     drowsinessChart.data.datasets[0].data.push(data.drowsinessLevel);
     drowsinessChart.data.datasets[1].data.push(data.eyeBlinkRate);
+    drowsinessChart.data.datasets[2].data.push(data.perclos);
+    drowsinessChart.data.datasets[3].data.push(data.dashboardScore);
 
     // Keep only last 20 data points
     if (drowsinessChart.data.labels.length > 20) {
         drowsinessChart.data.labels.shift();
-        drowsinessChart.data.datasets[0].data.shift();
-        drowsinessChart.data.datasets[1].data.shift();
+        drowsinessChart.data.datasets.forEach(dataset => dataset.data.shift());
     }
 
     drowsinessChart.update('none');
 }
 
+function updateDeviceHealthChart(data) {
+    deviceHealthChart.data.labels.push(data.timestamp.toLocaleTimeString());
+    deviceHealthChart.data.datasets[0].data.push(data.rssi);
+    deviceHealthChart.data.datasets[1].data.push(data.packetLoss);
+    deviceHealthChart.data.datasets[2].data.push(data.batteryLevel);
+
+    // Longer history than the drowsiness chart so fades can be matched with dropouts
+    if (deviceHealthChart.data.labels.length > 60) {
+        deviceHealthChart.data.labels.shift();
+        deviceHealthChart.data.datasets.forEach(dataset => dataset.data.shift());
+    }
+
+    deviceHealthChart.update('none');
+}
+
 // Check for drowsiness alerts
 function checkForAlerts(data) {
-    // Use the computed alert flag (covers drowsiness threshold and >30° tilt)
-    if (data.alertTriggered) {
+    // The dashboard's own score against the threshold, not the device's flag,
+    // together with the PERCLOS alert level, microsleep detector and tilt check
+    // against the calibrated neutral pose
+    const perclosThreshold = parseInt(document.getElementById('perclosThreshold').value);
+    const reasons = [];
+    if (data.dashboardAlert) reasons.push('score');
+    if (data.tiltDeviation > getTiltLimit()) reasons.push('tilt');
+    if (data.perclos !== null && data.perclos >= perclosThreshold) reasons.push('perclos');
+    if (data.microsleepId) reasons.push('microsleep');
+
+    updateAlertEpisode(data, reasons);
+
+    // Sound the alarm once per episode; it escalates on its own timer
+    if (isBackfilling) {
+        // History only: the next live sample decides whether to sound
+    } else if (activeAlertEpisode && alarmState.episode !== activeAlertEpisode) {
+        startAlarm(activeAlertEpisode);
+    } else if (!activeAlertEpisode && alarmState.episode) {
+        stopAlarm();
+    }
+
+    if (activeAlertEpisode) {
         triggerAlert(data);
     } else {
         clearAlert();
     }
 }
 
-// Trigger drowsiness alert
+// ---------------------------
+// Alert episodes
+// ---------------------------
+
+function resetAlertEpisodes() {
+    alertEpisodes = [];
+    activeAlertEpisode = null;
+    alertConditionSince = null;
+    alertClearSince = null;
+    totalAlerts = 0;
+}
+
+// Hysteresis settings from the settings panel, in milliseconds
+function getAlertEpisodeSettings() {
+    return {
+        onsetMs: parseFloat(document.getElementById('alertOnset').value) * 1000,
+        releaseMs: parseFloat(document.getElementById('alertRelease').value) * 1000,
+        minGapMs: parseFloat(document.getElementById('alertMinGap').value) * 1000
+    };
+}
+
+// Group alerting samples into episodes. An episode opens once the alert
+// condition has held for the onset delay and closes once it has been absent
+// for the release delay. An episode starting within the minimum gap of the
+// previous one is merged into it instead of being counted again.
+function updateAlertEpisode(data, reasons) {
+    const settings = getAlertEpisodeSettings();
+    const now = data.timestamp;
+
+    if (reasons.length === 0) {
+        alertConditionSince = null;
+        if (!activeAlertEpisode) return;
+
+        if (alertClearSince === null) alertClearSince = now;
+        if (now - alertClearSince >= settings.releaseMs) {
+            console.log('Alert episode ended:', describeAlertEpisode(activeAlertEpisode));
+            activeAlertEpisode = null;
+            alertClearSince = null;
+        } else {
+            data.alertEpisodeId = activeAlertEpisode.id;
+        }
+        return;
+    }
+
+    alertClearSince = null;
+
+    if (!activeAlertEpisode) {
+        if (alertConditionSince === null) alertConditionSince = now;
+        if (now - alertConditionSince < settings.onsetMs) return;
+
+        const previous = alertEpisodes[alertEpisodes.length - 1];
+        if (previous && alertConditionSince - previous.end < settings.minGapMs) {
+            activeAlertEpisode = previous;
+        } else {
+            activeAlertEpisode = {
+                id: alertEpisodes.length + 1,
+                start: alertConditionSince,
+                end: now,
+                durationMs: 0,
+                peakDrowsiness: 0,
+                reasons: [],
+                acknowledgements: []
+            };
+            alertEpisodes.push(activeAlertEpisode);
+            totalAlerts = alertEpisodes.length;
+            console.log('Drowsiness alert episode started at', data.dashboardScore.toFixed(1) + '%');
+        }
+
+        // Samples that waited out the onset delay belong to the episode too
+        getRecentSamples(alertConditionSince)
+            .filter(d => d !== data)
+            .forEach(d => {
+                d.alertEpisodeId = activeAlertEpisode.id;
+                activeAlertEpisode.peakDrowsiness = Math.max(activeAlertEpisode.peakDrowsiness, d.dashboardScore);
+            });
+        alertConditionSince = null;
+    }
+
+    activeAlertEpisode.end = now;
+    activeAlertEpisode.durationMs = activeAlertEpisode.end - activeAlertEpisode.start;
+    activeAlertEpisode.peakDrowsiness = Math.max(activeAlertEpisode.peakDrowsiness, data.dashboardScore);
+    reasons.forEach(reason => {
+        if (!activeAlertEpisode.reasons.includes(reason)) activeAlertEpisode.reasons.push(reason);
+    });
+    data.alertEpisodeId = activeAlertEpisode.id;
+}
+
+function describeAlertEpisode(episode) {
+    const acknowledged = episode.acknowledgements.length > 0
+        ? `acknowledged in ${episode.acknowledgements.map(a => (a.reactionTimeMs / 1000).toFixed(1) + ' s').join(', ')}`
+        : 'unacknowledged';
+    return `#${episode.id} ${episode.start.toLocaleTimeString()} - ${episode.end.toLocaleTimeString()} ` +
+        `(${(episode.durationMs / 1000).toFixed(1)} s, peak ${episode.peakDrowsiness.toFixed(1)}%, ${episode.reasons.join('/')}, ${acknowledged})`;
+}
+
+// ---------------------------
+// Escalating alarm (Web Audio)
+// ---------------------------
+
+// Browsers only allow audio after a user gesture, so this is first called
+// from the Start Session click and reused afterwards
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    if (!audioContext) audioContext = new AudioContextClass();
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+function playTone(frequency, durationMs, volume, type) {
+    if (!document.getElementById('alarmSoundEnabled').checked) return;
+    const ctx = getAudioContext();
+    if (!ctx) return;
+
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const endTime = ctx.currentTime + durationMs / 1000;
+    oscillator.type = type || 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(volume, ctx.currentTime + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, endTime);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start();
+    oscillator.stop(endTime + 0.05);
+}
+
+function playChime() {
+    playTone(880, 400, 0.2);
+    setTimeout(() => playTone(1320, 500, 0.2), 180);
+}
+
+function playAlarmTone() {
+    playTone(1000, 350, 0.8, 'square');
+}
+
+// Alarm escalation delays from the settings panel, in milliseconds
+function getAlarmSettings() {
+    return {
+        toneAfterMs: parseInt(document.getElementById('alarmToneAfter').value) * 1000,
+        overlayAfterMs: parseInt(document.getElementById('alarmOverlayAfter').value) * 1000
+    };
+}
+
+function startAlarm(episode) {
+    stopAlarm();
+    alarmState.episode = episode;
+    alarmState.stage = 1;
+    alarmState.startedAt = performance.now();
+    playChime();
+    alarmState.timerId = setInterval(escalateAlarm, 500);
+}
+
+// Move to the repeating tone, then the full-screen overlay, as the alert persists
+function escalateAlarm() {
+    if (alarmState.stage === 0) return;
+
+    const settings = getAlarmSettings();
+    const elapsedMs = performance.now() - alarmState.startedAt;
+
+    if (alarmState.stage < 2 && elapsedMs >= settings.toneAfterMs) {
+        alarmState.stage = 2;
+        playAlarmTone();
+        alarmState.toneTimerId = setInterval(playAlarmTone, 1000);
+    }
+    if (alarmState.stage < 3 && elapsedMs >= settings.overlayAfterMs) {
+        alarmState.stage = 3;
+        document.getElementById('alarmOverlay').classList.remove('d-none');
+    }
+    if (alarmState.stage === 3) {
+        document.getElementById('alarmOverlayDuration').textContent = Math.floor(elapsedMs / 1000);
+    }
+}
+
+// Silence the alarm for the rest of the episode
+function silenceAlarm() {
+    alarmState.stage = 0;
+    clearInterval(alarmState.timerId);
+    clearInterval(alarmState.toneTimerId);
+    alarmState.timerId = null;
+    alarmState.toneTimerId = null;
+    document.getElementById('alarmOverlay').classList.add('d-none');
+}
+
+function stopAlarm() {
+    silenceAlarm();
+    alarmState.episode = null;
+}
+
+// Record how long the driver took to respond, measured from the first chime,
+// on both the episode and the sample that was current when they acknowledged
+function acknowledgeAlarm(method) {
+    if (!alarmState.episode || alarmState.stage === 0) return;
+
+    const acknowledgement = {
+        at: new Date(),
+        reactionTimeMs: performance.now() - alarmState.startedAt,
+        stage: ALARM_STAGES[alarmState.stage],
+        method: method || 'button'
+    };
+    alarmState.episode.acknowledgements.push(acknowledgement);
+    if (sessionData.length > 0) {
+        sessionData[sessionData.length - 1].acknowledgement = acknowledgement;
+    }
+
+    console.log(`Alert acknowledged by ${acknowledgement.method} after ${formatReactionTime(acknowledgement.reactionTimeMs)} at stage ${acknowledgement.stage}`);
+    silenceAlarm();
+
+    const acknowledgeButton = document.getElementById('acknowledgeBtn');
+    if (acknowledgeButton) acknowledgeButton.remove();
+    updateSessionStatistics();
+}
+
+// Space or Enter acknowledges a sounding alarm, unless typing in a form control
+function handleAcknowledgeKey(event) {
+    if (event.code !== 'Space' && event.code !== 'Enter') return;
+    if (!alarmState.episode || alarmState.stage === 0) return;
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+    event.preventDefault();
+    acknowledgeAlarm('key');
+}
+
+// ---------------------------
+// Reaction time statistics
+// ---------------------------
+
+// Mean, 95th percentile (nearest rank) and worst acknowledgement latency
+// across all alert episodes, or null if nothing has been acknowledged
+function getReactionTimeStats() {
+    const times = alertEpisodes
+        .flatMap(episode => episode.acknowledgements.map(a => a.reactionTimeMs))
+        .sort((a, b) => a - b);
+    if (times.length === 0) return null;
+
+    return {
+        count: times.length,
+        meanMs: times.reduce((sum, t) => sum + t, 0) / times.length,
+        p95Ms: times[Math.ceil(0.95 * times.length) - 1],
+        worstMs: times[times.length - 1]
+    };
+}
+
+function formatReactionTime(ms) {
+    return (ms / 1000).toFixed(2) + ' s';
+}
+
+function describeReactionTimeStats(stats) {
+    if (!stats) return 'No acknowledged alerts';
+    return `mean ${formatReactionTime(stats.meanMs)}, p95 ${formatReactionTime(stats.p95Ms)}, ` +
+        `worst ${formatReactionTime(stats.worstMs)} (${stats.count} acknowledged)`;
+}
+
+// Show the alert status for the active episode
 function triggerAlert(data) {
-    totalAlerts++;
     document.getElementById('totalAlerts').textContent = totalAlerts;
 
-    // Update alert status display
+    // Update alert status display, with an acknowledge button while the alarm sounds
     const alertStatus = document.getElementById('alertStatus');
-    alertStatus.innerHTML = '<i class="fas fa-exclamation-triangle fa-2x text-danger"></i><div class="mt-2">Drowsiness Alert!</div>';
-
-    console.log('Drowsiness alert triggered at', data.drowsinessLevel.toFixed(1) + '%');
+    const acknowledgeButton = alarmState.stage > 0
+        ? '<button class="btn btn-sm btn-outline-danger mt-2" id="acknowledgeBtn" onclick="acknowledgeAlarm(\'button\')">Acknowledge (Space)</button>'
+        : '';
+    alertStatus.innerHTML = '<i class="fas fa-exclamation-triangle fa-2x text-danger"></i><div class="mt-2">Drowsiness Alert!</div>' + acknowledgeButton;
 }
 
 // Clear alert status
@@ -541,8 +3622,8 @@ function clearAlert() {
 function updateSessionStatistics() {
     if (sessionData.length === 0) return;
 
-    // Calculate session duration
-    const duration = new Date() - sessionStartTime;
+    // Calculate session duration, up to the last sample when replaying
+    const duration = (replay ? sessionData[sessionData.length - 1].timestamp : new Date()) - sessionStartTime;
     const hours = Math.floor(duration / 3600000);
     const minutes = Math.floor((duration % 3600000) / 60000);
     const seconds = Math.floor((duration % 60000) / 1000);
@@ -556,6 +3637,14 @@ function updateSessionStatistics() {
     // Calculate peak drowsiness
     const peakDrowsiness = Math.max(...sessionData.map(data => data.drowsinessLevel));
     document.getElementById('peakDrowsiness').textContent = peakDrowsiness.toFixed(1) + '%';
+
+    // Reaction time to alert acknowledgement
+    const reactionTime = getReactionTimeStats();
+    document.getElementById('reactionTimeMean').textContent = reactionTime ? formatReactionTime(reactionTime.meanMs) : '--';
+    document.getElementById('reactionTimeP95').textContent = reactionTime ? formatReactionTime(reactionTime.p95Ms) : '--';
+    document.getElementById('reactionTimeWorst').textContent = reactionTime ? formatReactionTime(reactionTime.worstMs) : '--';
+
+    document.getElementById('scoreDisagreements').textContent = getScoreDisagreementCount();
 }
 
 // Generate PDF report using jsPDF
@@ -575,10 +3664,11 @@ function generatePDFReport() {
         
         // Add session info
         doc.setFontSize(12);
-        doc.text(`Session Date: ${sessionStartTime.toLocaleDateString()}`, 20, 50);
+        doc.text(`Session Date: ${sessionStartTime.toLocaleDateString()}    Driver: ${describeSessionDriver()}`, 20, 50);
         doc.text(`Session Duration: ${document.getElementById('sessionDuration').textContent}`, 20, 60);
-        doc.text(`Total Alerts: ${totalAlerts}`, 20, 70);
+        doc.text(`Alert Episodes: ${totalAlerts}`, 20, 70);
         doc.text(`Data Points: ${sessionData.length}`, 20, 80);
+        doc.text(`Reaction Time: ${describeReactionTimeStats(getReactionTimeStats())}`, 20, 90);
         
         // Add statistics
         if (sessionData.length > 0) {
@@ -587,6 +3677,7 @@ function generatePDFReport() {
             
             doc.text(`Average Blink Rate: ${avgBlinkRate.toFixed(1)} BPM`, 20, 100);
             doc.text(`Peak Drowsiness: ${peakDrowsiness.toFixed(1)}%`, 20, 110);
+            doc.text(`Peak PERCLOS (${getPerclosWindowMs() / 1000} s window): ${formatPerclos(getPeakPerclos(), 1)}%`, 20, 120);
         }
         
         // Add data table
@@ -596,12 +3687,13 @@ function generatePDFReport() {
         // Table headers
         doc.setFontSize(10);
         doc.text('Time', 20, yPos);
-        doc.text('Blink Rate', 50, yPos);
-        doc.text('Drowsiness %', 80, yPos);
-        doc.text('Pitch', 110, yPos);
-        doc.text('Roll', 130, yPos);
-        doc.text('Yaw', 150, yPos);
-        doc.text('Alert', 170, yPos);
+        doc.text('Blink Rate', 45, yPos);
+        doc.text('Drowsiness %', 70, yPos);
+        doc.text('PERCLOS %', 97, yPos);
+        doc.text('Pitch', 122, yPos);
+        doc.text('Roll', 140, yPos);
+        doc.text('Yaw', 158, yPos);
+        doc.text('Alert', 176, yPos);
         yPos += 10;
         
         // Add data rows (limit to fit page)
@@ -609,14 +3701,44 @@ function generatePDFReport() {
         for (let i = 0; i < maxRows; i++) {
             const data = sessionData[i];
             doc.text(data.timestamp.toLocaleTimeString(), 20, yPos);
-            doc.text(data.eyeBlinkRate.toFixed(1), 50, yPos);
-            doc.text(data.drowsinessLevel.toFixed(1), 80, yPos);
-            doc.text(data.headMovement.pitch.toFixed(1), 110, yPos);
-            doc.text(data.headMovement.roll.toFixed(1), 130, yPos);
-            doc.text(data.headMovement.yaw.toFixed(1), 150, yPos);
-            doc.text(data.alertTriggered ? 'Yes' : 'No', 170, yPos);
+            doc.text(data.eyeBlinkRate.toFixed(1), 45, yPos);
+            doc.text(data.drowsinessLevel.toFixed(1), 70, yPos);
+            doc.text(formatPerclos(data.perclos, 1), 97, yPos);
+            doc.text(data.relativeHeadMovement.pitch.toFixed(1), 122, yPos);
+            doc.text(data.relativeHeadMovement.roll.toFixed(1), 140, yPos);
+            doc.text(data.relativeHeadMovement.yaw.toFixed(1), 158, yPos);
+            doc.text(data.alertTriggered ? 'Yes' : 'No', 176, yPos);
             yPos += 6;
         }
+
+        // Event lists and device health on their own page
+        doc.addPage();
+        yPos = 30;
+        [
+            [`Alert Episodes: ${alertEpisodes.length}`, alertEpisodes.map(describeAlertEpisode)],
+            [`Fatigue Pre-warnings: ${fatigueWarnings.length}`, fatigueWarnings.map(describeFatigueWarning)],
+            [`Breaks Taken: ${sessionBreaks.length}`, sessionBreaks.map(describeSessionBreak)],
+            [`Breaks Recommended: ${breakRecommendations.length}`, breakRecommendations.map(describeBreakRecommendation)],
+            [`Microsleep Events: ${microsleepEvents.length}`, microsleepEvents.map(describeMicrosleep)],
+            [`Connectivity Gaps: ${connectivityGaps.length}`, connectivityGaps.map(describeConnectivityGap)],
+            ['Link Quality', [describeLinkQualityStats(getLinkQualityStats())]],
+            [`Battery Warnings: ${batteryWarnings.length}`, batteryWarnings.map(describeBatteryWarning)],
+            ['Calibration', [describeCalibration(), `Head pose zero: ${describeHeadPoseZero()}`]]
+        ].forEach(([title, lines]) => {
+            doc.setFontSize(12);
+            doc.text(title, 20, yPos);
+            doc.setFontSize(10);
+            yPos += 10;
+            lines.forEach(line => {
+                if (yPos > 280) {
+                    doc.addPage();
+                    yPos = 30;
+                }
+                doc.text(line, 20, yPos);
+                yPos += 6;
+            });
+            yPos += 10;
+        });
         
         // Download the PDF
         const fileName = `drowsiness_report_${sessionStartTime.toISOString().split('T')[0]}.pdf`;
@@ -625,6 +3747,12 @@ function generatePDFReport() {
     document.head.appendChild(script);
 }
 
+// Highest PERCLOS reached during the session, or null if never available
+function getPeakPerclos() {
+    const values = sessionData.map(data => data.perclos).filter(p => p !== null && p !== undefined);
+    return values.length > 0 ? Math.max(...values) : null;
+}
+
 // Generate CSV export
 function generateCSVExport() {
     console.log('Generating CSV export...');
@@ -635,19 +3763,45 @@ function generateCSVExport() {
 
 // Generate CSV content
 function generateCSVContent() {
-    const headers = ['Timestamp', 'Blink Rate (BPM)', 'Drowsiness Level (%)', 'Pitch (°)', 'Roll (°)', 'Yaw (°)', 'Alert Triggered', 'Battery Level (%)'];
+    const headers = ['Timestamp', 'Blink Rate (BPM)', 'Eye Closure (s)', 'Drowsiness Level (%)', 'PERCLOS (%)', 'Pitch (°)', 'Roll (°)', 'Yaw (°)', 'Raw Pitch (°)', 'Raw Roll (°)', 'Raw Yaw (°)', 'Tilt From Neutral (°)', 'Alert Triggered', 'Dashboard Score (%)', 'Dashboard Alert', 'Score Disagreement', 'Minutes To Threshold', 'Fatigue Warning', 'Battery Level (%)', 'Battery Warning (%)', 'RSSI (dBm)', 'Wi-Fi Channel', 'Packet Loss (%)', 'Microsleep Event', 'Microsleep Start', 'Microsleep End', 'Microsleep Duration (s)', 'Microsleep Severity', 'Alert Episode', 'Acknowledged Reaction Time (s)', 'Gap Before (s)'];
     const csvRows = [headers.join(',')];
+    // Each row of a microsleep carries the whole episode, as the TXT and PDF reports list it
+    const microsleeps = new Map(microsleepEvents.map(event => [event.id, event]));
     
     sessionData.forEach(data => {
+        const microsleep = data.microsleepId ? microsleeps.get(data.microsleepId) : null;
         const row = [
             data.timestamp.toISOString(),
             data.eyeBlinkRate.toFixed(2),
+            (Number(data.eyeClosureDuration) || 0).toFixed(2),
             data.drowsinessLevel.toFixed(2),
+            data.perclos === null ? '' : data.perclos.toFixed(2),
+            data.relativeHeadMovement.pitch.toFixed(2),
+            data.relativeHeadMovement.roll.toFixed(2),
+            data.relativeHeadMovement.yaw.toFixed(2),
             data.headMovement.pitch.toFixed(2),
             data.headMovement.roll.toFixed(2),
             data.headMovement.yaw.toFixed(2),
+            data.tiltDeviation.toFixed(2),
             data.alertTriggered ? 'Yes' : 'No',
-            data.batteryLevel.toFixed(1)
+            data.dashboardScore.toFixed(2),
+            data.dashboardAlert ? 'Yes' : 'No',
+            data.scoreDisagreement ? `"${data.scoreDisagreement.replace(/"/g, '""')}"` : '', // reasons hold commas
+            data.minutesToThreshold === null || data.minutesToThreshold === undefined ? '' : data.minutesToThreshold.toFixed(1),
+            data.fatigueWarningId || '',
+            data.batteryLevel.toFixed(1),
+            data.batteryWarning || '',
+            data.rssi != null ? data.rssi : '',
+            data.wifiChannel != null ? data.wifiChannel : '',
+            data.packetLoss === null || data.packetLoss === undefined ? '' : data.packetLoss.toFixed(1),
+            data.microsleepId || '',
+            microsleep ? microsleep.start.toISOString() : '',
+            microsleep ? microsleep.end.toISOString() : '',
+            microsleep ? (microsleep.durationMs / 1000).toFixed(2) : '',
+            microsleep ? microsleep.severity : '',
+            data.alertEpisodeId || '',
+            data.acknowledgement ? (data.acknowledgement.reactionTimeMs / 1000).toFixed(2) : '',
+            data.gapBeforeMs ? (data.gapBeforeMs / 1000).toFixed(1) : ''
         ];
         csvRows.push(row.join(','));
     });
@@ -655,6 +3809,68 @@ function generateCSVContent() {
     return csvRows.join('\n');
 }
 
+// Generate JSON export: everything the dashboard knows about the session
+function generateJSONExport() {
+    console.log('Generating JSON export...');
+
+    downloadFile(generateJSONContent(), `drowsiness_session_${sessionStartTime.toISOString().split('T')[0]}.json`, 'application/json');
+}
+
+function generateJSONContent() {
+    const content = buildSessionExportHeader();
+    content.samples = sessionData;
+    content.alertEpisodes = alertEpisodes;
+    content.microsleepEvents = microsleepEvents;
+    content.fatigueWarnings = fatigueWarnings;
+    content.batteryWarnings = batteryWarnings;
+    content.connectivityGaps = connectivityGaps;
+    content.breaks = sessionBreaks;
+    content.breakRecommendations = breakRecommendations;
+    return JSON.stringify(content, null, 2);
+}
+
+// Generate NDJSON export: a session record, then one sample per line, for tools
+// that stream or load line by line; the events can be worked out from the samples
+function generateNDJSONExport() {
+    console.log('Generating NDJSON export...');
+
+    downloadFile(generateNDJSONContent(), `drowsiness_session_${sessionStartTime.toISOString().split('T')[0]}.ndjson`, 'application/x-ndjson');
+}
+
+function generateNDJSONContent() {
+    const lines = [JSON.stringify({ record: 'session', ...buildSessionExportHeader() })];
+    sessionData.forEach(data => lines.push(JSON.stringify({ record: 'sample', ...data })));
+    return lines.join('\n') + '\n';
+}
+
+// Samples go out as processed, with the raw readings beside the dashboard's
+// results, unrounded; dates are ISO strings
+function buildSessionExportHeader() {
+    const last = sessionData[sessionData.length - 1];
+    const settings = readSettings();
+    delete settings.exportFormat; // how the session was exported, not how it was scored
+    return {
+        schema: EXPORT_SCHEMA,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        session: {
+            id: currentSessionId || (replay ? replay.session.id : null),
+            deviceId: last.deviceId || (replay ? replay.session.deviceId : selectedDeviceId) || null,
+            driverId: sessionDriver ? sessionDriver.id : null,
+            driverName: sessionDriver ? sessionDriver.name : null,
+            start: sessionStartTime.toISOString(),
+            lastSampleAt: last.timestamp.toISOString(),
+            points: sessionData.length,
+            totalAlerts: totalAlerts,
+            replayedFrom: replay ? (replay.session.fileName || 'server') : null
+        },
+        settings: settings,
+        scoringModel: DrowsinessScoring.getModel(document.getElementById('scoringModel').value).name,
+        baseline: getBaseline(),
+        calibration: getCalibrationProfile()
+    };
+}
+
 // Generate text summary
 function generateTextSummary() {
     console.log('Generating text summary...');
@@ -670,9 +3886,13 @@ function generateTextContent() {
     
     content += `Session Date: ${sessionStartTime.toLocaleDateString()}\n`;
     content += `Session Time: ${sessionStartTime.toLocaleTimeString()}\n`;
+    content += `Driver: ${describeSessionDriver()}\n`;
     content += `Session Duration: ${document.getElementById('sessionDuration').textContent}\n`;
     content += `Total Data Points: ${sessionData.length}\n`;
-    content += `Total Alerts: ${totalAlerts}\n\n`;
+    content += `Calibration: ${describeCalibration()}\n`;
+    content += `Head Pose Zero: ${describeHeadPoseZero()} (angles below are relative to it)\n`;
+    content += `Alert Episodes: ${totalAlerts}\n`;
+    content += `Breaks: ${sessionBreaks.length} taken, ${breakRecommendations.length} recommended (${getBreakRule().label})\n\n`;
     
     if (sessionData.length > 0) {
         const avgBlinkRate = sessionData.reduce((sum, data) => sum + data.eyeBlinkRate, 0) / sessionData.length;
@@ -683,21 +3903,102 @@ function generateTextContent() {
         content += '----------\n';
         content += `Average Blink Rate: ${avgBlinkRate.toFixed(2)} BPM\n`;
         content += `Average Drowsiness Level: ${avgDrowsiness.toFixed(2)}%\n`;
-        content += `Peak Drowsiness Level: ${peakDrowsiness.toFixed(2)}%\n\n`;
+        content += `Peak Drowsiness Level: ${peakDrowsiness.toFixed(2)}%\n`;
+        content += `Dashboard Scoring: ${DrowsinessScoring.getModel(document.getElementById('scoringModel').value).label}\n`;
+        content += `Peak Dashboard Score: ${Math.max(...sessionData.map(data => data.dashboardScore)).toFixed(2)}%\n`;
+        content += `Samples Where Device and Dashboard Disagree: ${getScoreDisagreementCount()}\n`;
+        content += `Fatigue Trend: ${describeFatigueTrend(getFatigueTrend())}\n`;
+        content += `Peak PERCLOS (${getPerclosWindowMs() / 1000} s window): ${formatPerclos(getPeakPerclos(), 2)}%\n`;
+        content += `Reaction Time: ${describeReactionTimeStats(getReactionTimeStats())}\n`;
+        content += `Link Quality: ${describeLinkQualityStats(getLinkQualityStats())}\n`;
+        content += `Battery Forecast: ${describeBatteryForecast(getBatteryForecast())}\n\n`;
+
+        content += 'ALERT EPISODES\n';
+        content += '--------------\n';
+        if (alertEpisodes.length === 0) {
+            content += 'None\n';
+        }
+        alertEpisodes.forEach(episode => {
+            content += describeAlertEpisode(episode) + '\n';
+        });
+        content += '\n';
+
+        content += 'FATIGUE PRE-WARNINGS\n';
+        content += '--------------------\n';
+        if (fatigueWarnings.length === 0) {
+            content += 'None\n';
+        }
+        fatigueWarnings.forEach(warning => {
+            content += describeFatigueWarning(warning) + '\n';
+        });
+        content += '\n';
+
+        content += 'BREAKS\n';
+        content += '------\n';
+        if (sessionBreaks.length === 0) {
+            content += 'None taken\n';
+        }
+        sessionBreaks.forEach((sessionBreak, index) => {
+            content += describeSessionBreak(sessionBreak, index) + '\n';
+        });
+        content += 'Recommended:\n';
+        if (breakRecommendations.length === 0) {
+            content += 'None\n';
+        }
+        breakRecommendations.forEach(recommendation => {
+            content += describeBreakRecommendation(recommendation) + '\n';
+        });
+        content += '\n';
+
+        content += 'MICROSLEEP EVENTS\n';
+        content += '-----------------\n';
+        if (microsleepEvents.length === 0) {
+            content += 'None detected\n';
+        }
+        microsleepEvents.forEach(event => {
+            content += describeMicrosleep(event) + '\n';
+        });
+        content += '\n';
+
+        content += 'BATTERY WARNINGS\n';
+        content += '----------------\n';
+        if (batteryWarnings.length === 0) {
+            content += 'None\n';
+        }
+        batteryWarnings.forEach(warning => {
+            content += describeBatteryWarning(warning) + '\n';
+        });
+        content += '\n';
+
+        content += 'CONNECTIVITY GAPS\n';
+        content += '-----------------\n';
+        if (connectivityGaps.length === 0) {
+            content += 'None\n';
+        }
+        connectivityGaps.forEach(gap => {
+            content += describeConnectivityGap(gap) + '\n';
+        });
+        content += '\n';
         
         content += 'DETAILED DATA\n';
         content += '-------------\n';
-        content += 'Time\t\tBlink Rate\tDrowsiness\tPitch\tRoll\tYaw\tAlert\n';
-        content += '----\t\t----------\t----------\t-----\t----\t---\t-----\n';
+        content += 'Time\t\tBlink Rate\tDrowsiness\tPERCLOS\tPitch\tRoll\tYaw\tRSSI\tAlert\n';
+        content += '----\t\t----------\t----------\t-------\t-----\t----\t---\t----\t-----\n';
         
         sessionData.forEach(data => {
-            content += `${data.timestamp.toLocaleTimeString()}\t${data.eyeBlinkRate.toFixed(1)}\t\t${data.drowsinessLevel.toFixed(1)}%\t\t${data.headMovement.pitch.toFixed(1)}°\t${data.headMovement.roll.toFixed(1)}°\t${data.headMovement.yaw.toFixed(1)}°\t${data.alertTriggered ? 'Yes' : 'No'}\n`;
+            content += `${data.timestamp.toLocaleTimeString()}\t${data.eyeBlinkRate.toFixed(1)}\t\t${data.drowsinessLevel.toFixed(1)}%\t\t${formatPerclos(data.perclos, 1)}%\t${data.relativeHeadMovement.pitch.toFixed(1)}°\t${data.relativeHeadMovement.roll.toFixed(1)}°\t${data.relativeHeadMovement.yaw.toFixed(1)}°\t${data.rssi != null ? data.rssi : '--'}\t${data.alertTriggered ? 'Yes' : 'No'}\n`;
         });
     }
     
     return content;
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // Download file utility function
 function downloadFile(content, fileName, mimeType) {
     const blob = new Blob([content], { type: mimeType });
@@ -724,7 +4025,7 @@ function showPreviewModal(content, format) {
                     <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
                 </div>
                 <div class="modal-body">
-                    <pre style="max-height: 400px; overflow-y: auto; background: #f8f9fa; padding: 15px; border-radius: 5px;">${content}</pre>
+                    <pre style="max-height: 400px; overflow-y: auto; background: #f8f9fa; padding: 15px; border-radius: 5px;">${escapeHtml(content)}</pre>
                 </div>
                 <div class="modal-footer">
                     <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
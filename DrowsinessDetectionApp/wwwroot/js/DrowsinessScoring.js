@@ -0,0 +1,168 @@
+// Drowsiness scoring - the dashboard's own drowsiness score and alert decision,
+// worked out from the measurements instead of trusting the device's alertTriggered.
+//
+// A model is { name, label, description, score(sample, history, options) } returning
+// { score: 0-100, components: { name: points } }. Register more with
+// DrowsinessScoring.register(model); the settings panel lists every registered model.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DrowsinessScoring = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CLOSURE_WINDOW_MS = 10000; // longest closure looked back over, blinks are rarely in the current sample
+    const TREND_WINDOW_MS = 60000;
+    const MAX_CLOSURE_S = 1.0;       // a closure this long scores in full
+    const MAX_TREND_PER_MIN = 20;    // score rising this fast (points/min) scores in full
+
+    const models = new Map();
+
+    function register(model) {
+        if (!model || !model.name || typeof model.score !== 'function') {
+            throw new Error('A scoring model needs a name and a score(sample, history, options) function');
+        }
+        models.set(model.name, model);
+    }
+
+    function getModels() {
+        return [...models.values()];
+    }
+
+    // Unknown names fall back to the first model registered
+    function getModel(name) {
+        return models.get(name) || models.values().next().value;
+    }
+
+    // options: { threshold, baseline: { blinkRate, closureDuration }, tiltLimit, perclosThreshold }
+    // history: the session's samples so far, oldest first, scored already; may end with `sample`
+    function score(sample, history, options, modelName) {
+        const model = getModel(modelName);
+        const result = model.score(sample, history || [], options);
+        const value = clamp(result.score, 0, 100);
+        return {
+            model: model.name,
+            score: value,
+            alert: value >= options.threshold,
+            components: result.components || {}
+        };
+    }
+
+    // The device's own score and flag against ours; either the decisions differ
+    // or the scores are further apart than the margin
+    function compare(deviceLevel, deviceAlert, result, margin) {
+        const difference = result.score - deviceLevel;
+        const reasons = [];
+        if (!!deviceAlert !== result.alert) {
+            reasons.push(result.alert ? 'dashboard alerts, device does not' : 'device alerts, dashboard does not');
+        }
+        if (Math.abs(difference) > margin) {
+            reasons.push(`scores ${Math.abs(difference).toFixed(0)} points apart`);
+        }
+        return { difference: difference, disagree: reasons.length > 0, reasons: reasons };
+    }
+
+    // Samples within windowMs before the sample, newest first, without the sample itself
+    function recentSamples(sample, history, windowMs) {
+        const since = sample.timestamp - windowMs;
+        const recent = [];
+        for (let i = history.length - 1; i >= 0 && history[i].timestamp >= since; i--) {
+            if (history[i] !== sample) recent.push(history[i]);
+        }
+        return recent;
+    }
+
+    // Least-squares slope of `value` over time, in units per minute; null below three points
+    function computeTrend(points) {
+        if (points.length < 3) return null;
+        const t0 = points[0].time;
+        const n = points.length;
+        const meanX = points.reduce((sum, p) => sum + (p.time - t0), 0) / n;
+        const meanY = points.reduce((sum, p) => sum + p.value, 0) / n;
+        let numerator = 0;
+        let denominator = 0;
+        points.forEach(p => {
+            const dx = (p.time - t0) - meanX;
+            numerator += dx * (p.value - meanY);
+            denominator += dx * dx;
+        });
+        return denominator === 0 ? 0 : (numerator / denominator) * 60000;
+    }
+
+    // PERCLOS is null until its window has enough data, scores are low until then
+    function hasPerclos(sample) {
+        return sample.perclos !== null && sample.perclos !== undefined;
+    }
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    // Default model: each measurement contributes up to its weight in points
+    register({
+        name: 'weighted',
+        label: 'Weighted (blink, closure, PERCLOS, head pose, trend)',
+        description: 'PERCLOS 30, eye closure 25, head pose 20, blink rate 15 and rising trend 10 points',
+        score: function (sample, history, options) {
+            const recent = recentSamples(sample, history, TREND_WINDOW_MS);
+            const baseline = options.baseline;
+
+            // Blinking far from the driver's usual rate, slower or faster
+            const blinkDeviation = Math.abs(sample.eyeBlinkRate - baseline.blinkRate) / baseline.blinkRate;
+            const blink = clamp(blinkDeviation / 0.75, 0, 1);
+
+            // Closures longer than the driver's usual blink, up to a full second
+            const longestClosure = recent
+                .filter(s => s.timestamp >= sample.timestamp - CLOSURE_WINDOW_MS)
+                .reduce((longest, s) => Math.max(longest, s.eyeClosureDuration), sample.eyeClosureDuration);
+            const closureStart = baseline.closureDuration * 1.25;
+            const closure = clamp((longestClosure - closureStart) / (MAX_CLOSURE_S - closureStart), 0, 1);
+
+            const perclos = !hasPerclos(sample) ? 0 : clamp(sample.perclos / options.perclosThreshold, 0, 1);
+            const pose = clamp(sample.tiltDeviation / options.tiltLimit, 0, 1);
+
+            // Only a rising score counts; the trend is of our own earlier scores, from
+            // when PERCLOS was known, once they cover half the window so a few noisy
+            // samples do not count
+            const scored = recent.filter(s => typeof s.dashboardScore === 'number' && hasPerclos(s)).reverse();
+            const covered = scored.length > 0 && sample.timestamp - scored[0].timestamp >= TREND_WINDOW_MS / 2;
+            const slope = covered ? computeTrend(scored.map(s => ({ time: s.timestamp.valueOf(), value: s.dashboardScore }))) : null;
+            const trend = slope === null ? 0 : clamp(slope / MAX_TREND_PER_MIN, 0, 1);
+
+            const components = {
+                perclos: perclos * 30,
+                closure: closure * 25,
+                pose: pose * 20,
+                blink: blink * 15,
+                trend: trend * 10
+            };
+            return {
+                score: Object.values(components).reduce((sum, points) => sum + points, 0),
+                components: components
+            };
+        }
+    });
+
+    // PERCLOS alone, the classic measure: reaching the PERCLOS alert level reaches the alert threshold
+    register({
+        name: 'perclos',
+        label: 'PERCLOS only',
+        description: 'Scales PERCLOS so the PERCLOS alert level meets the drowsiness alert threshold',
+        score: function (sample, history, options) {
+            const perclos = hasPerclos(sample) ? sample.perclos : 0;
+            const points = clamp(perclos / options.perclosThreshold * options.threshold, 0, 100);
+            return { score: points, components: { perclos: points } };
+        }
+    });
+
+    return {
+        register: register,
+        getModels: getModels,
+        getModel: getModel,
+        score: score,
+        compare: compare,
+        computeTrend: computeTrend
+    };
+});
@@ -0,0 +1,168 @@
+// Fleet JavaScript - live overview of every device streaming to SensorHub
+
+// SignalR connection setup
+const connection = new signalR.HubConnectionBuilder()
+    .withUrl("/sensorHub")
+    .withAutomaticReconnect()
+    .build();
+
+const HUB_RETRY_MS = 5000;
+// A device silent this long is offline, not in alert: the dashboard
+// watchdog's default for a lost device
+const OFFLINE_AFTER_MS = 15 * 1000;
+
+// Latest known state per device id
+const fleetDevices = new Map();
+
+connection.on("ReceiveSensorData", function (data) {
+    const device = getFleetDevice(data.deviceId);
+    device.lastSample = data;
+    device.lastSeen = new Date();
+    renderFleet();
+});
+
+connection.on("SessionStateChanged", function (session) {
+    getFleetDevice(session.deviceId).activeSessionId = session.end ? null : session.id;
+    renderFleet();
+});
+
+connection.on("DeviceConfigChanged", function (state) {
+    getFleetDevice(state.deviceId).config = state;
+    renderFleet();
+});
+
+connection.on("DeviceListChanged", loadDevices);
+
+// Groups do not survive a reconnect, so join the fleet group again
+connection.onreconnected(joinFleet);
+
+// Automatic reconnect gave up: keep retrying at a slower pace
+connection.onclose(err => {
+    console.error("SignalR connection closed: ", err);
+    setTimeout(startConnection, HUB_RETRY_MS);
+});
+
+startConnection();
+
+// Refresh the "last seen" times even when no data arrives
+setInterval(renderFleet, 1000);
+
+function startConnection() {
+    return connection.start()
+        .then(() => {
+            console.log("Connected to SignalR hub");
+            return joinFleet();
+        })
+        .catch(err => {
+            console.error("SignalR Connection Error: ", err);
+            setTimeout(startConnection, HUB_RETRY_MS);
+        });
+}
+
+// Listen to every device and catch up on the ones already known
+function joinFleet() {
+    return connection.invoke('SubscribeFleet')
+        .then(() => connection.invoke('GetDevices'))
+        .then(loadDevices)
+        .catch(err => console.error('Failed to join the fleet: ', err));
+}
+
+function getFleetDevice(deviceId) {
+    if (!fleetDevices.has(deviceId)) {
+        fleetDevices.set(deviceId, { deviceId: deviceId, lastSample: null, lastSeen: null, activeSessionId: null, config: null });
+    }
+    return fleetDevices.get(deviceId);
+}
+
+function loadDevices(devices) {
+    devices.forEach(info => {
+        const device = getFleetDevice(info.deviceId);
+        device.activeSessionId = info.activeSessionId;
+        device.config = info.config;
+        if (info.lastSample && !device.lastSample) {
+            device.lastSample = info.lastSample;
+            device.lastSeen = new Date(info.lastSeen);
+        }
+    });
+    renderFleet();
+}
+
+function isOffline(device) {
+    return !device.lastSeen || new Date() - device.lastSeen > OFFLINE_AFTER_MS;
+}
+
+// Only a device still sending can be in alert; the last word of one gone quiet is stale
+function isInAlert(device) {
+    return !!(device.lastSample && device.lastSample.alertTriggered) && !isOffline(device);
+}
+
+// Devices in alert first, then by id
+function sortDevices(devices) {
+    return devices.sort((a, b) => (isInAlert(b) - isInAlert(a)) || a.deviceId.localeCompare(b.deviceId));
+}
+
+function renderFleet() {
+    const devices = sortDevices([...fleetDevices.values()]);
+    const alertCount = devices.filter(isInAlert).length;
+
+    document.getElementById('fleetDeviceCount').textContent = `${devices.length} device${devices.length === 1 ? '' : 's'}`;
+    const alertBadge = document.getElementById('fleetAlertCount');
+    alertBadge.textContent = `${alertCount} in alert`;
+    alertBadge.className = `badge ms-2 ${alertCount > 0 ? 'bg-danger' : 'bg-success'}`;
+
+    const grid = document.getElementById('fleetGrid');
+    if (devices.length === 0) return;
+    grid.innerHTML = devices.map(renderTile).join('');
+}
+
+function renderTile(device) {
+    const sample = device.lastSample;
+    const alert = isInAlert(device);
+    const offline = isOffline(device);
+    const value = (number, digits, unit) => sample ? number.toFixed(digits) + unit : '--';
+    const href = `/Dashboard/Dashboard?device=${encodeURIComponent(device.deviceId)}`;
+
+    return `<div class="col-md-4 col-lg-3 mb-3">
+        <a class="card h-100 fleet-tile ${alert ? 'in-alert' : ''} ${offline ? 'offline' : ''}" href="${href}">
+            <div class="card-body">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <h6 class="mb-0" style="font-weight: 600;">${escapeHtml(device.deviceId)}</h6>
+                    <span class="badge ${alert ? 'bg-danger' : offline ? 'bg-secondary' : 'bg-success'}">${alert ? 'Alert' : offline ? 'Offline' : 'OK'}</span>
+                </div>
+                <div class="fleet-tile-value">${value(sample && sample.drowsinessLevel, 1, '%')}</div>
+                <div class="fleet-tile-meta mb-2">Drowsiness</div>
+                <div class="d-flex justify-content-between fleet-tile-meta">
+                    <span><i class="fas fa-eye me-1"></i>${value(sample && sample.eyeBlinkRate, 1, ' BPM')}</span>
+                    <span><i class="fas fa-wifi me-1"></i>${sample && sample.rssi != null ? sample.rssi + ' dBm' : '--'}</span>
+                    <span><i class="fas fa-battery-half me-1"></i>${value(sample && sample.batteryLevel, 0, '%')}</span>
+                </div>
+                <div class="d-flex justify-content-between fleet-tile-meta mt-2">
+                    <span>${formatLastSeen(device.lastSeen)}</span>
+                    <span>${formatConfigVersion(device.config)}</span>
+                    <span>${device.activeSessionId ? 'In session' : ''}</span>
+                </div>
+            </div>
+        </a>
+    </div>`;
+}
+
+function formatLastSeen(lastSeen) {
+    if (!lastSeen) return 'Never seen';
+    const seconds = Math.max(0, Math.floor((new Date() - lastSeen) / 1000));
+    if (seconds < 60) return `Seen ${seconds} s ago`;
+    if (seconds < 3600) return `Seen ${Math.floor(seconds / 60)} min ago`;
+    return `Seen ${lastSeen.toLocaleTimeString()}`;
+}
+
+// Pushed configuration version, flagged while the device has not applied it
+function formatConfigVersion(state) {
+    if (!state || !state.config) return '';
+    const version = state.config.version;
+    return state.acknowledgedVersion === version ? `Config v${version}` : `Config v${version} pending`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,286 @@
+// Sensor simulator - a stand-in for the headset that plays a named driving scenario,
+// for demos and QA. A run is fixed by its scenario, parameters, seed and sample rate:
+// the same four give the same samples, so a run seen once can be played again.
+//
+// A scenario is { name, label, description, params: { name: default } }. The params it
+// lists are the ones offered for adjusting; the rest keep their BASE_PARAMS values.
+// Register more with SensorSimulator.register(scenario).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SensorSimulator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Every parameter a scenario can offer, with the range the control panel allows
+    const PARAMETERS = {
+        blinkIntervalS: { label: 'Blink Interval', min: 1, max: 10, step: 0.5, unit: 's' },
+        longClosureChance: { label: 'Long Closure Chance (per blink)', min: 0, max: 50, step: 1, unit: '%' },
+        tiltSpikesPerMin: { label: 'Head Tilt Spikes', min: 0, max: 10, step: 0.5, unit: '/min' },
+        fatigueRampMin: { label: 'Fully Fatigued After', min: 5, max: 120, step: 5, unit: 'min' },
+        microsleepsPerMin: { label: 'Microsleeps', min: 0, max: 6, step: 0.25, unit: '/min' },
+        microsleepS: { label: 'Microsleep Length', min: 1, max: 5, step: 0.5, unit: 's' },
+        faultsPerMin: { label: 'Sensor Faults', min: 0, max: 6, step: 0.25, unit: '/min' },
+        faultS: { label: 'Fault Length', min: 2, max: 30, step: 1, unit: 's' },
+        batteryStart: { label: 'Starting Battery', min: 5, max: 100, step: 5, unit: '%' },
+        batteryDrainPerMin: { label: 'Battery Drain', min: 0, max: 10, step: 0.5, unit: '%/min' }
+    };
+
+    // fatigueRampMin 0 keeps the driver alert throughout
+    const BASE_PARAMS = {
+        blinkIntervalS: 3,
+        longClosureChance: 10,
+        tiltSpikesPerMin: 2.5,
+        fatigueRampMin: 0,
+        microsleepsPerMin: 0,
+        microsleepS: 2,
+        faultsPerMin: 0,
+        faultS: 8,
+        batteryStart: 100,
+        batteryDrainPerMin: 0.5
+    };
+
+    const scenarios = new Map();
+
+    function register(scenario) {
+        if (!scenario || !scenario.name || !scenario.params) {
+            throw new Error('A simulator scenario needs a name and params');
+        }
+        Object.keys(scenario.params).forEach(name => {
+            if (!PARAMETERS[name]) throw new Error(`Unknown simulator parameter ${name}`);
+        });
+        scenarios.set(scenario.name, scenario);
+    }
+
+    function getScenarios() {
+        return [...scenarios.values()];
+    }
+
+    // Unknown names fall back to the first scenario registered
+    function getScenario(name) {
+        return scenarios.get(name) || scenarios.values().next().value;
+    }
+
+    function getParameter(name) {
+        return PARAMETERS[name];
+    }
+
+    // Mulberry32: small, fast and the same sequence everywhere for a given seed
+    function createRandom(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Short enough to read out or type back in
+    function randomSeed() {
+        return 1 + Math.floor(Math.random() * 999999);
+    }
+
+    // options: { scenario, params, seed, sampleRateHz, deviceId, mountPitch }
+    // params may hold values for parameters the scenario does not offer; they are ignored
+    function create(options) {
+        const scenario = getScenario(options.scenario);
+        const params = { ...BASE_PARAMS, ...scenario.params };
+        Object.keys(scenario.params).forEach(name => {
+            const value = options.params ? Number(options.params[name]) : NaN;
+            if (Number.isFinite(value)) {
+                params[name] = Math.max(PARAMETERS[name].min, Math.min(PARAMETERS[name].max, value));
+            }
+        });
+        const seed = Number.isInteger(options.seed) ? options.seed : randomSeed();
+        const sampleRateHz = options.sampleRateHz > 0 ? options.sampleRateHz : 0.5;
+        const random = createRandom(seed);
+        const chance = p => random() < p;
+        const noise = size => (random() - 0.5) * size;
+        const stepS = 1 / sampleRateHz;
+
+        const state = {
+            samples: 0,
+            elapsedS: 0,
+            lastBlinkS: 0,
+            tilt: { pitch: 0, roll: 0, yaw: 0 },
+            tiltLeftS: 0,
+            nodLeftS: 0,
+            faultLeftS: 0,
+            lastHeadMovement: null,
+            fatigue: 0,
+            batteryLevel: params.batteryStart,
+            rssi: -60,
+            packetsSent: 0,
+            packetsLost: 0
+        };
+
+        // context: { baseline: { blinkRate, closureDuration, neutralPose }, threshold, tiltLimit, calm }
+        // calm keeps the driver alert, for calibration, and so plays a different run; the rest
+        // only shape the device's score and alert flag. Simulated time advances one step
+        // per call whatever the wall clock does; timestamp only stamps the sample.
+        // Returns null when the sample is lost on the way or the battery is flat.
+        function next(timestamp, context) {
+            if (state.batteryLevel <= 0) return null;
+            const baseline = context.baseline;
+            const calm = !!context.calm;
+            state.samples++;
+            state.elapsedS += stepS;
+            state.fatigue = params.fatigueRampMin > 0 && !calm ? Math.min(1, state.elapsedS / 60 / params.fatigueRampMin) : 0;
+            const fatigue = state.fatigue;
+
+            // A fault freezes the head pose and loses the eyes for a while
+            if (state.faultLeftS > 0) {
+                state.faultLeftS -= stepS;
+            } else if (!calm && chance(params.faultsPerMin * stepS / 60)) {
+                state.faultLeftS = params.faultS;
+            }
+            const faulty = state.faultLeftS > 0;
+
+            // Blinks slow down and lengthen as the driver tires; a microsleep closes
+            // the eyes for seconds and drops the head, which stays down that long
+            let eyeClosureDuration = 0.0; // approx seconds closed within this sample
+            if (!calm && state.nodLeftS <= 0 && chance(params.microsleepsPerMin * stepS / 60)) {
+                eyeClosureDuration = params.microsleepS * (0.8 + random() * 0.4);
+                state.nodLeftS = eyeClosureDuration;
+                state.lastBlinkS = state.elapsedS;
+            } else if (state.elapsedS - state.lastBlinkS >= params.blinkIntervalS * (1 + 0.5 * fatigue)) {
+                state.lastBlinkS = state.elapsedS;
+                const longClosure = !calm && chance(params.longClosureChance / 100 * (1 + 2 * fatigue));
+                eyeClosureDuration = longClosure ? 0.5 + random() * 0.7 : 0.2 + 0.15 * fatigue;
+            }
+            const nodding = state.nodLeftS > 0;
+            if (nodding) state.nodLeftS -= stepS;
+
+            // Head movement: small noise, a sagging head when tired and now and then
+            // a 30-50° glance or lean on one axis for 4-6 seconds
+            if (state.tiltLeftS > 0) {
+                state.tiltLeftS -= stepS;
+                if (state.tiltLeftS <= 0) state.tilt = { pitch: 0, roll: 0, yaw: 0 };
+            } else if (!calm && chance(params.tiltSpikesPerMin * stepS / 60)) {
+                state.tiltLeftS = 4 + random() * 2;
+                const axis = ['pitch', 'roll', 'yaw'][Math.floor(random() * 3)];
+                state.tilt[axis] = (random() < 0.5 ? 1 : -1) * (30 + random() * 20);
+            }
+            const headMovement = faulty && state.lastHeadMovement ? { ...state.lastHeadMovement } : {
+                pitch: (options.mountPitch || 0) + state.tilt.pitch - 8 * fatigue - (nodding ? 20 + random() * 10 : 0) + noise(4),
+                roll: state.tilt.roll + noise(4),
+                yaw: state.tilt.yaw + noise(4)
+            };
+            state.lastHeadMovement = headMovement;
+
+            const neutral = baseline.neutralPose || { pitch: 0, roll: 0, yaw: 0 };
+            const tiltDeviation = Math.max(
+                Math.abs(headMovement.pitch - neutral.pitch),
+                Math.abs(headMovement.roll - neutral.roll),
+                Math.abs(headMovement.yaw - neutral.yaw));
+            const tiltExceeded = tiltDeviation > context.tiltLimit;
+
+            // Blink rate around the driver's normal rate, a little up on a blink and
+            // down as they tire; the eye sensor reads nothing during a fault
+            let eyeBlinkRate = baseline.blinkRate * (1 - 0.3 * fatigue) - 2 + random() * 4;
+            if (eyeClosureDuration > 0) eyeBlinkRate = baseline.blinkRate + 3;
+            if (faulty) {
+                eyeBlinkRate = 0;
+                eyeClosureDuration = 0;
+            }
+
+            // The device's own heuristic: base 35-50 plus fatigue, more on closures
+            // longer than the driver's usual blink and on tilt from their neutral pose.
+            // Both extras are drawn every time, so the context never shifts the sequence
+            let drowsinessLevel = 35 + random() * 15 + 25 * fatigue;
+            const closureExtra = 20 + random() * 10;
+            const tiltExtra = 20 + random() * 15;
+            if (eyeClosureDuration > baseline.closureDuration * 1.25) drowsinessLevel += closureExtra;
+            if (tiltExceeded) drowsinessLevel += tiltExtra;
+            drowsinessLevel = Math.max(0, Math.min(100, drowsinessLevel));
+            const alertTriggered = drowsinessLevel >= context.threshold || tiltExceeded;
+
+            state.batteryLevel = Math.max(0, state.batteryLevel - params.batteryDrainPerMin * stepS / 60 * (0.75 + random() * 0.5));
+
+            // Wi-Fi link: RSSI drifts around -60 dBm with occasional fades, and a weak
+            // link drops samples, which then show up in the device's loss counter
+            state.rssi += noise(4) + (-60 - state.rssi) * 0.2;
+            if (chance(0.05)) state.rssi -= 15 + random() * 10;
+            state.rssi = Math.max(-95, Math.min(-35, state.rssi));
+            state.packetsSent++;
+            if (chance(state.rssi < -80 ? 0.3 : 0.01) || (faulty && chance(0.5))) {
+                state.packetsLost++;
+                return null;
+            }
+
+            return {
+                deviceId: options.deviceId,
+                timestamp: timestamp,
+                eyeBlinkRate: eyeBlinkRate,
+                eyeClosureDuration: eyeClosureDuration,
+                headMovement: headMovement,
+                drowsinessLevel: drowsinessLevel,
+                alertTriggered: alertTriggered,
+                batteryLevel: state.batteryLevel,
+                rssi: Math.round(state.rssi),
+                wifiChannel: 6,
+                packetsSent: state.packetsSent,
+                packetsLost: state.packetsLost
+            };
+        }
+
+        return {
+            scenario: scenario,
+            params: params,
+            seed: seed,
+            sampleRateHz: sampleRateHz,
+            intervalMs: 1000 / sampleRateHz,
+            state: state,
+            next: next
+        };
+    }
+
+    register({
+        name: 'alert',
+        label: 'Alert driver',
+        description: 'Steady blinking with the odd long closure and glance away',
+        params: { blinkIntervalS: 3, longClosureChance: 10, tiltSpikesPerMin: 2.5 }
+    });
+
+    register({
+        name: 'fatiguing',
+        label: 'Gradually fatiguing',
+        description: 'Starts alert; blinks slow and lengthen, the head sags and long closures grow more frequent',
+        params: { fatigueRampMin: 30, blinkIntervalS: 3, longClosureChance: 10, tiltSpikesPerMin: 1 }
+    });
+
+    register({
+        name: 'microsleep',
+        label: 'Microsleep-prone',
+        description: 'Eyes close for seconds at a time with a nod of the head',
+        params: { microsleepsPerMin: 1, microsleepS: 2, longClosureChance: 20 }
+    });
+
+    register({
+        name: 'fault',
+        label: 'Sensor fault',
+        description: 'Now and then the head pose freezes, the eye sensor reads nothing and samples drop out',
+        params: { faultsPerMin: 1, faultS: 8 }
+    });
+
+    register({
+        name: 'lowBattery',
+        label: 'Low battery',
+        description: 'Starts low and drains until the headset goes silent',
+        params: { batteryStart: 25, batteryDrainPerMin: 1 }
+    });
+
+    return {
+        register: register,
+        getScenarios: getScenarios,
+        getScenario: getScenario,
+        getParameter: getParameter,
+        createRandom: createRandom,
+        randomSeed: randomSeed,
+        create: create
+    };
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// Stand-in for an ESP32 headset, for trying out configuration pushes without hardware.
+// It polls GET api/devices/{id}/config, applies and acknowledges each new version,
+// and streams samples to api/SensorData at the configured rate with alertTriggered
+// worked out from the pushed threshold and tilt limit, as the firmware does.
+//
+//   node tools/device-standin.js [--server http://localhost:5088] [--device standin]
+//                                [--poll 5] [--duration 0]
+//
+// --poll is in seconds; --duration stops the stand-in after that many seconds (0 runs until Ctrl+C).
+// Needs Node 18 or later for the built-in fetch.
+'use strict';
+
+const DEFAULT_CONFIG = {
+    version: 0, // built-in defaults, never acknowledged
+    drowsinessThreshold: 70,
+    tiltLimit: 30,
+    buzzerEnabled: true,
+    vibrationEnabled: true,
+    sampleRateHz: 1
+};
+
+const options = parseArgs(process.argv.slice(2));
+const server = options.server.replace(/\/$/, '');
+const configUrl = `${server}/api/devices/${encodeURIComponent(options.device)}/config`;
+
+let config = DEFAULT_CONFIG;
+let sampleTimerId = null;
+let pollTimerId = null;
+let wasAlerting = false;
+let stopped = false;
+const state = { batteryLevel: 100, packetsSent: 0, tilt: 0, drowsiness: 40 };
+
+function parseArgs(args) {
+    const parsed = { server: 'http://localhost:5088', device: 'standin', poll: '5', duration: '0' };
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        if (!(key in parsed) || args[i + 1] === undefined) {
+            console.error(`Unknown or incomplete option ${args[i]}`);
+            process.exit(1);
+        }
+        parsed[key] = args[i + 1];
+    }
+    return parsed;
+}
+
+// 404 means nothing was pushed yet, so the built-in defaults stay
+function pollConfig() {
+    return fetch(configUrl)
+        .then(response => response.status === 404 ? null : response.ok ? response.json() : Promise.reject(response.status))
+        .then(pushed => {
+            if (pushed && pushed.version !== config.version) applyConfig(pushed);
+        })
+        .catch(err => console.warn(`Config poll failed: ${err}`));
+}
+
+function applyConfig(pushed) {
+    config = pushed;
+    console.log(`Applied configuration v${config.version}: alert at ${config.drowsinessThreshold}%, ` +
+        `tilt ${config.tiltLimit}°, buzzer ${config.buzzerEnabled ? 'on' : 'off'}, ` +
+        `vibration ${config.vibrationEnabled ? 'on' : 'off'}, ${config.sampleRateHz} Hz`);
+    startSampling();
+    return fetch(`${configUrl}/ack`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: config.version })
+    })
+        .then(response => response.ok ? console.log(`Acknowledged v${config.version}`) : Promise.reject(response.status))
+        .catch(err => console.warn(`Acknowledgement failed: ${err}`));
+}
+
+function startSampling() {
+    if (stopped) return;
+    clearInterval(sampleTimerId);
+    sampleTimerId = setInterval(sendSample, 1000 / config.sampleRateHz);
+}
+
+// Drowsiness and tilt wander slowly so both alert conditions come and go
+function sendSample() {
+    state.drowsiness = clamp(state.drowsiness + (Math.random() - 0.45) * 8, 5, 100);
+    state.tilt = Math.random() < 0.03 ? (Math.random() < 0.5 ? -1 : 1) * (25 + Math.random() * 25) : state.tilt * 0.7;
+    state.batteryLevel = Math.max(5, state.batteryLevel - 0.02 / config.sampleRateHz);
+    state.packetsSent++;
+
+    const headMovement = { pitch: state.tilt + (Math.random() - 0.5) * 4, roll: (Math.random() - 0.5) * 4, yaw: (Math.random() - 0.5) * 4 };
+    const tiltExceeded = Math.max(Math.abs(headMovement.pitch), Math.abs(headMovement.roll), Math.abs(headMovement.yaw)) > config.tiltLimit;
+    const alertTriggered = state.drowsiness >= config.drowsinessThreshold || tiltExceeded;
+    if (alertTriggered && !wasAlerting) signalAlert();
+    wasAlerting = alertTriggered;
+
+    const sample = {
+        deviceId: options.device,
+        timestamp: Date.now(), // epoch milliseconds, unlike the ESP32 firmware's milliseconds since boot
+        eyeBlinkRate: 15 + Math.random() * 6,
+        eyeClosureDuration: Math.random() < 0.3 ? 0.15 + state.drowsiness / 200 : 0,
+        headMovement: headMovement,
+        drowsinessLevel: state.drowsiness,
+        alertTriggered: alertTriggered,
+        batteryLevel: state.batteryLevel,
+        rssi: Math.round(-55 - Math.random() * 10),
+        wifiChannel: 6,
+        packetsSent: state.packetsSent,
+        packetsLost: 0,
+        configVersion: config.version || null
+    };
+    fetch(`${server}/api/SensorData`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sample)
+    }).catch(err => console.warn(`Sample not sent: ${err}`));
+}
+
+function signalAlert() {
+    const outputs = [config.buzzerEnabled ? 'buzzer' : null, config.vibrationEnabled ? 'vibration' : null].filter(Boolean);
+    console.log(`ALERT at ${state.drowsiness.toFixed(0)}% -> ${outputs.length ? outputs.join(' + ') : 'silent (outputs disabled)'}`);
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function stop() {
+    stopped = true;
+    clearInterval(sampleTimerId);
+    clearInterval(pollTimerId);
+    console.log('Stand-in stopped');
+}
+
+console.log(`Stand-in device "${options.device}" reporting to ${server}`);
+pollConfig().then(() => {
+    if (stopped) return;
+    if (!sampleTimerId) startSampling();
+    pollTimerId = setInterval(pollConfig, parseFloat(options.poll) * 1000);
+});
+if (parseFloat(options.duration) > 0) setTimeout(stop, parseFloat(options.duration) * 1000);
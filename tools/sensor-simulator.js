@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// Simulated headsets that POST to api/SensorData, so the controller, JSON binding and
+// the SignalR broadcast to every dashboard get exercised without glasses. Samples come
+// from the same scenarios as the dashboard's simulator panel (wwwroot/js/SensorSimulator.js).
+//
+//   node tools/sensor-simulator.js [--server http://localhost:5088] [--devices sim-1]
+//                                  [--count 0] [--scenario alert] [--params name=value,...]
+//                                  [--seed random] [--rate 1] [--duration 0]
+//                                  [--threshold 70] [--tilt 30]
+//   node tools/sensor-simulator.js --list
+//
+// --devices is a comma-separated list of device ids; --count N uses sim-1 ... sim-N instead.
+// Device n of the list runs with seed + n - 1, so a whole fleet repeats from one seed.
+// --rate is in samples per second; --duration stops after that many seconds (0 runs until Ctrl+C).
+// --threshold and --tilt stand in for the device's alert settings. --list prints the scenarios.
+// Needs Node 18 or later for the built-in fetch.
+'use strict';
+
+const path = require('path');
+const SensorSimulator = require(path.join(__dirname, '..', 'DrowsinessDetectionApp', 'wwwroot', 'js', 'SensorSimulator.js'));
+
+const MOUNT_PITCH = 12; // as the dashboard's simulator, the headset reads this while looking ahead
+const BASELINE = { blinkRate: 17, closureDuration: 0.15, neutralPose: { pitch: MOUNT_PITCH, roll: 0, yaw: 0 } };
+const REPORT_INTERVAL_MS = 10000;
+
+if (process.argv.includes('--list')) {
+    listScenarios();
+    process.exit(0);
+}
+
+const options = parseArgs(process.argv.slice(2));
+const server = options.server.replace(/\/$/, '');
+const scenario = SensorSimulator.getScenarios().find(s => s.name === options.scenario);
+if (!scenario) {
+    console.error(`Unknown scenario ${options.scenario}; --list shows them`);
+    process.exit(1);
+}
+const params = parseParams(options.params);
+const deviceIds = getDeviceIds();
+if (deviceIds.length === 0) {
+    console.error('No device ids given; pass --devices id,... or --count N');
+    process.exit(1);
+}
+const context = { baseline: BASELINE, threshold: parseFloat(options.threshold), tiltLimit: parseFloat(options.tilt) };
+const baseSeed = options.seed === 'random' ? SensorSimulator.randomSeed() : parseInt(options.seed);
+if (!Number.isInteger(baseSeed)) {
+    console.error(`Seed must be a whole number or random, not ${options.seed}`);
+    process.exit(1);
+}
+
+const devices = deviceIds.map((deviceId, index) => ({
+    deviceId: deviceId,
+    simulator: SensorSimulator.create({
+        scenario: scenario.name,
+        params: params,
+        seed: baseSeed + index,
+        sampleRateHz: parseFloat(options.rate),
+        deviceId: deviceId,
+        mountPitch: MOUNT_PITCH
+    }),
+    posted: 0,
+    failed: 0,
+    timerId: null
+}));
+let reportTimerId = null;
+
+function parseArgs(args) {
+    const parsed = {
+        server: 'http://localhost:5088', devices: 'sim-1', count: '0', scenario: 'alert', params: '',
+        seed: 'random', rate: '1', duration: '0', threshold: '70', tilt: '30'
+    };
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        if (!(key in parsed) || args[i + 1] === undefined) {
+            console.error(`Unknown or incomplete option ${args[i]}`);
+            process.exit(1);
+        }
+        parsed[key] = args[i + 1];
+    }
+    return parsed;
+}
+
+// fatigueRampMin=10,microsleepsPerMin=2; only the parameters the scenario offers
+function parseParams(text) {
+    const parsed = {};
+    text.split(',').filter(Boolean).forEach(pair => {
+        const [name, value] = pair.split('=');
+        if (!SensorSimulator.getParameter(name) || value === undefined) {
+            console.error(`Unknown or incomplete parameter ${pair}; --list shows them`);
+            process.exit(1);
+        }
+        if (!(name in scenario.params)) {
+            console.error(`The ${scenario.name} scenario does not offer ${name}; --list shows each scenario's parameters`);
+            process.exit(1);
+        }
+        parsed[name] = parseFloat(value);
+    });
+    return parsed;
+}
+
+function getDeviceIds() {
+    const count = parseInt(options.count);
+    if (count > 0) return Array.from({ length: count }, (_, i) => `sim-${i + 1}`);
+    return options.devices.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function listScenarios() {
+    SensorSimulator.getScenarios().forEach(scenario => {
+        console.log(`${scenario.name} - ${scenario.label}: ${scenario.description}`);
+        Object.keys(scenario.params).forEach(name => {
+            const parameter = SensorSimulator.getParameter(name);
+            console.log(`    ${name}=${scenario.params[name]}  ${parameter.label}, ${parameter.min}-${parameter.max} ${parameter.unit}`);
+        });
+    });
+}
+
+function sendSample(device) {
+    const sample = device.simulator.next(new Date(), context);
+    if (!sample) return; // lost on the way, or the battery is flat
+    fetch(`${server}/api/SensorData`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...sample, timestamp: sample.timestamp.getTime() })
+    })
+        .then(response => {
+            if (!response.ok) return Promise.reject(response.status);
+            device.posted++;
+        })
+        .catch(err => {
+            if (device.failed++ === 0) console.warn(`${device.deviceId}: sample not sent: ${err}`);
+        });
+}
+
+function report() {
+    devices.forEach(device => {
+        const state = device.simulator.state;
+        const details = [
+            `${device.posted} posted`,
+            `${state.packetsLost} lost`,
+            `${device.failed} failed`,
+            `battery ${state.batteryLevel.toFixed(0)}%`
+        ];
+        if (device.simulator.params.fatigueRampMin > 0) details.push(`fatigue ${(state.fatigue * 100).toFixed(0)}%`);
+        if (state.faultLeftS > 0) details.push('sensor fault');
+        console.log(`${device.deviceId}: ${details.join(', ')}`);
+    });
+}
+
+function stop() {
+    devices.forEach(device => clearInterval(device.timerId));
+    clearInterval(reportTimerId);
+    report();
+    console.log(`Simulator stopped; repeat this run with --seed ${baseSeed}`);
+}
+
+const first = devices[0].simulator;
+console.log(`Simulating ${devices.length} device(s) (${devices.map(d => d.deviceId).join(', ')}) to ${server}: ` +
+    `${first.scenario.label}, seed ${baseSeed}, ${first.sampleRateHz} Hz`);
+devices.forEach(device => {
+    device.timerId = setInterval(() => sendSample(device), device.simulator.intervalMs);
+});
+reportTimerId = setInterval(report, REPORT_INTERVAL_MS);
+process.on('SIGINT', () => {
+    stop();
+    process.exit(0);
+});
+if (parseFloat(options.duration) > 0) setTimeout(stop, parseFloat(options.duration) * 1000);